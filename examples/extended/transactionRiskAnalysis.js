@@ -101,11 +101,7 @@ const transactionRiskAnalysis = {
           power: 100 // Utilize full available processing power
         });
 
-        if (result && result.data) {
-          this.reportResults(result);
-        } else {
-          console.error("No data received from Turbit analysis");
-        }
+        this.reportResults(result);
       } catch (error) {
         console.error("Error in transaction analysis:", error.message);
       } finally {
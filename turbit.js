@@ -15,30 +15,740 @@ if (typeof process === "undefined" || !process.versions || !process.versions.nod
     console.error("Turbit is developed for Node.js and does not support browsers.");
 } else {
     const childProcess = require("child_process");
+    const workerThreads = require("worker_threads");
+    const EventEmitter = require("events");
     const os = require("os");
+    const path = require("path");
+    const crypto = require("crypto");
+    const http = require("http");
+    const fs = require("fs");
+    const v8 = require("v8");
 
-    if (process.argv[2] === "child") {
-        process.on("message", async (message) => {
+    const isThreadChild = !workerThreads.isMainThread && Boolean(workerThreads.workerData && workerThreads.workerData.turbitChild);
+
+    // now: Milliseconds since the epoch with sub-millisecond precision. Unlike `process.hrtime` it is comparable between the parent and its workers, so trace spans from both line up.
+    const now = () => performance.timeOrigin + performance.now();
+
+    /**
+     * transfer: Prepares values for the trip between the parent and its workers.
+     * - TypedArrays: worker threads and "advanced" serialization pass them by structured clone, which shares views on a SharedArrayBuffer between threads without copying; with JSON serialization their raw bytes travel in base64 (`views`). Structured clone copies the whole buffer behind a view, so a view on part of an ordinary buffer is cut out first.
+     * - Codecs: instances matched by a codec travel as tagged plain data and are rebuilt with the codec's `decode` on the other side, so domain objects keep their class.
+     * Without codecs only the top level of a value is inspected; with codecs the whole value is walked.
+     */
+    const transfer = {
+        // viewTypes: The TypedArray constructors a view is rebuilt with after the trip; Buffers and subclasses travel as the standard type they extend.
+        viewTypes: { Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array },
+        isView: function (value) {
+            return ArrayBuffer.isView(value) && !(value instanceof DataView);
+        },
+        isPlainObject: function (value) {
+            if (!value || typeof value !== "object") {
+                return false;
+            }
+            const prototype = Object.getPrototypeOf(value);
+            return prototype === Object.prototype || prototype === null;
+        },
+        // shareView: Copies a view into a SharedArrayBuffer of its own, which worker threads then use without copying.
+        shareView: function (value) {
+            const buffer = new SharedArrayBuffer(value.byteLength);
+            const shared = Buffer.isBuffer(value) ? Buffer.from(buffer) : new value.constructor(buffer);
+            shared.set(value);
+            return shared;
+        },
+        // cloneView: Cuts a view on part of an ordinary buffer out of it before a structured clone; a view on a SharedArrayBuffer is passed as it is.
+        cloneView: function (value) {
+            if (value.buffer instanceof SharedArrayBuffer || value.byteLength === value.buffer.byteLength) {
+                return value;
+            }
+            return Uint8Array.prototype.slice.call(value);
+        },
+        encodeView: function (value) {
+            return {
+                $view: Buffer.isBuffer(value) ? "Buffer" : Object.keys(this.viewTypes).find(name => value instanceof this.viewTypes[name]),
+                bytes: Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString("base64")
+            };
+        },
+        decodeView: function (value) {
+            const bytes = Buffer.from(value.bytes, "base64");
+            // Copied into a fresh buffer so the view is correctly aligned for its element size.
+            const buffer = new ArrayBuffer(bytes.length);
+            new Uint8Array(buffer).set(bytes);
+            if (value.$view === "Buffer") {
+                return Buffer.from(buffer);
+            }
+            if (!Object.prototype.hasOwnProperty.call(this.viewTypes, value.$view)) {
+                throw new TypeError(`Unknown TypedArray type '${value.$view}'.`);
+            }
+            return new this.viewTypes[value.$view](buffer);
+        },
+        encode: function (value, wire) {
+            if (wire.codecs.length > 0) {
+                return this.encodeDeep(value, wire);
+            }
+            if (this.isView(value)) {
+                return wire.views ? this.encodeView(value) : this.cloneView(value);
+            }
+            return value;
+        },
+        encodeDeep: function (value, wire) {
+            const codec = wire.codecs.find(candidate => candidate.is(value));
+            if (codec) {
+                return { $codec: codec.name, data: this.encodeDeep(codec.encode(value), wire) };
+            }
+            if (this.isView(value)) {
+                return wire.views ? this.encodeView(value) : this.cloneView(value);
+            }
+            if (Array.isArray(value)) {
+                return value.map(item => this.encodeDeep(item, wire));
+            }
+            if (this.isPlainObject(value)) {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.encodeDeep(item, wire)]));
+            }
+            return value;
+        },
+        decode: function (value, wire) {
+            if (wire.codecs.length > 0) {
+                return this.decodeDeep(value, wire);
+            }
+            return this.isPlainObject(value) && typeof value.$view === "string" ? this.decodeView(value) : value;
+        },
+        decodeDeep: function (value, wire) {
+            if (Array.isArray(value)) {
+                return value.map(item => this.decodeDeep(item, wire));
+            }
+            if (!this.isPlainObject(value)) {
+                return value;
+            }
+            if (typeof value.$view === "string") {
+                return this.decodeView(value);
+            }
+            if (typeof value.$codec === "string") {
+                const codec = wire.codecs.find(candidate => candidate.name === value.$codec);
+                if (!codec) {
+                    throw new TypeError(`No codec named '${value.$codec}' is registered.`);
+                }
+                return codec.decode(this.decodeDeep(value.data, wire));
+            }
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.decodeDeep(item, wire)]));
+        },
+        // encodeArgs / decodeArgs: Apply `encode` / `decode` to the top-level values of task arguments.
+        encodeArgs: function (args, wire) {
+            return this.mapArgs(args, value => this.encode(value, wire));
+        },
+        decodeArgs: function (args, wire) {
+            return this.mapArgs(args, value => this.decode(value, wire));
+        },
+        mapArgs: function (args, callback) {
+            if (Array.isArray(args)) {
+                return args.map(callback);
+            }
+            if (this.isPlainObject(args)) {
+                return Object.fromEntries(Object.entries(args).map(([key, value]) => [key, callback(value)]));
+            }
+            return callback(args);
+        },
+        // loadCodecs: Loads the codecs exported by a module, as an array of `{ name, is, encode, decode }`.
+        loadCodecs: function (modulePath) {
+            if (!modulePath) {
+                return [];
+            }
+            const codecs = require(modulePath);
+            if (!Array.isArray(codecs) || !codecs.every(codec => codec && typeof codec.name === "string" && ["is", "encode", "decode"].every(key => typeof codec[key] === "function"))) {
+                throw new TypeError(`Codec module ${modulePath} must export an array of { name, is, encode, decode } codecs.`);
+            }
+            return codecs;
+        }
+    };
+
+    if (process.argv[2] === "child" || isThreadChild) {
+        const vm = require("vm");
+        const util = require("util");
+        // channel: The same message protocol runs over the IPC channel of a forked process or the parent port of a worker thread.
+        const channel = isThreadChild ? {
+            send: (message) => workerThreads.parentPort.postMessage(message),
+            on: (event, listener) => workerThreads.parentPort.on(event, listener)
+        } : process;
+        // Forked children get their serialization settings as the argument after "child"; threads get them in `workerData`.
+        const childOptions = isThreadChild ? workerThreads.workerData : JSON.parse(process.argv[3] || "{}");
+        const wire = {
+            views: !isThreadChild && childOptions.serialization !== "advanced",
+            codecs: transfer.loadCodecs(childOptions.codecs)
+        };
+        // measureMemory: Memory usage reported with every reply so the parent can recycle bloated workers. Threads share the process RSS, so they report their own V8 heap.
+        const measureMemory = isThreadChild ? () => v8.getHeapStatistics().used_heap_size : () => process.memoryUsage.rss();
+        // measureUsage: Wall-clock and CPU time of a task in milliseconds, and the peak RSS of the process so far (`maxRSS`, so a spike during the task counts), for the stats of the run. Worker threads share the CPU counters and RSS of their process.
+        const measureUsage = (started) => {
+            const cpu = process.cpuUsage(started.cpu);
+            return { compute: Number(process.hrtime.bigint() - started.time) / 1e6, cpuUser: cpu.user / 1000, cpuSystem: cpu.system / 1000, rss: process.resourceUsage().maxRSS * 1024, startedAt: started.at, endedAt: now() };
+        };
+
+        // With `stdio: "pipe"` writes to process.stdout and process.stderr go to the parent as `log` messages, tagged with the id of the task running at the time; with "silent" they are dropped.
+        // Sharing the channel of the replies keeps them in order, so every line a task prints arrives before its result.
+        let currentTask;
+        if (childOptions.stdio === "pipe" || childOptions.stdio === "silent") {
+            ["stdout", "stderr"].forEach(stream => {
+                process[stream].write = (chunk, encoding, callback) => {
+                    if (typeof encoding === "function") {
+                        callback = encoding;
+                        encoding = undefined;
+                    }
+                    if (childOptions.stdio === "pipe") {
+                        const text = typeof chunk === "string" ? chunk : Buffer.from(chunk).toString(encoding);
+                        channel.send({ log: { stream, text, id: currentTask } });
+                    }
+                    if (callback) {
+                        process.nextTick(callback);
+                    }
+                    return true;
+                };
+            });
+        }
+
+        // compileTask: Compiles the task source under a `turbit-task:<name>` filename so stack frames point at the lines of the task itself.
+        const compileTask = (source, name) => {
+            return vm.runInThisContext(`(\n${source}\n)`, { filename: `turbit-task:${name}`, lineOffset: -1 });
+        };
+
+        // loadTask: Returns the function of a task, either compiled from its source or taken from a module. Modules are loaded once per worker and their task functions cached, so they can keep their own imports, helpers and closures.
+        // Compiled functions are registered under the hash the parent sent with their source; later messages carry only that hash.
+        const compiledTasks = new Map();
+        const moduleTasks = new Map();
+        const loadTask = async (message) => {
+            if (!message.module) {
+                if (message.func !== undefined) {
+                    let compiled;
+                    try {
+                        compiled = { func: compileTask(message.func, message.name) };
+                    } catch (error) {
+                        compiled = { error };
+                    }
+                    compiledTasks.set(message.hash, compiled);
+                }
+                const compiled = compiledTasks.get(message.hash);
+                if (!compiled) {
+                    throw new Error(`Task ${message.name} (${message.hash}) is not registered in this worker.`);
+                }
+                if (compiled.error) {
+                    throw compiled.error;
+                }
+                return compiled.func;
+            }
+            const key = `${message.module}#${message.export || ""}`;
+            if (!moduleTasks.has(key)) {
+                let exports;
+                try {
+                    exports = require(message.module);
+                } catch (error) {
+                    if (error.code !== "ERR_REQUIRE_ESM") {
+                        throw error;
+                    }
+                    exports = await import(require("url").pathToFileURL(message.module).href);
+                }
+                const func = message.export ? exports[message.export] : (typeof exports === "function" ? exports : exports.default);
+                if (typeof func !== "function") {
+                    throw new TypeError(`Export '${message.export || "default"}' of module ${message.module} is not a function.`);
+                }
+                moduleTasks.set(key, func);
+            }
+            return moduleTasks.get(key);
+        };
+
+        // wireSafe: Returns a value as it is if the channel can carry it, or else as its `util.inspect` text: circular objects (an error pointing at itself, the request of an HTTP client error) or BigInts with JSON serialization, functions with structured clone.
+        const wireSafe = (value) => {
             try {
-                const func = new Function("return " + message.func)();
-                let result;
-                if (Array.isArray(message.args)) {
-                    result = func(...message.args);
+                if (wire.views) {
+                    JSON.stringify(value);
                 } else {
-                    result = func(message.args);
+                    v8.serialize(value);
                 }
-                process.send({ result });
+                return value;
             } catch (error) {
-                process.send({ error: error.message });
+                return util.inspect(value, { depth: 2 });
+            }
+        };
+
+        // serializeError: Turns a thrown value into plain data that survives IPC, keeping name, class, stack, enumerable fields and the cause chain.
+        const serializeError = (error, seen = new Set()) => {
+            if (!(error instanceof Error)) {
+                return { name: "Error", className: "Error", message: `Task failed with non-error value ${String(error)}`, properties: { value: wireSafe(error) } };
+            }
+            seen.add(error);
+            const className = error.constructor && error.constructor.name;
+            // A subclass that does not set its own `name` is reported under its class name.
+            const name = error.name === "Error" && className && className !== "Error" ? className : error.name;
+            let stack;
+            if (typeof error.stack === "string") {
+                stack = error.stack
+                    .replace(error.name, name)
+                    .split("\n")
+                    .filter(line => !/^\s+at /.test(line) || !(line.includes(__filename) || line.includes("node:")))
+                    .join("\n");
             }
+            const serialized = { name, className, message: error.message, stack, properties: {} };
+            Object.keys(error).forEach(key => {
+                if (key !== "cause") {
+                    serialized.properties[key] = wireSafe(error[key]);
+                }
+            });
+            if ("cause" in error && !seen.has(error.cause)) {
+                serialized.cause = error.cause instanceof Error ? serializeError(error.cause, seen) : { value: wireSafe(error.cause) };
+            }
+            return serialized;
+        };
+
+        // Tasks are executed one at a time in arrival order; every reply carries the id of the task it answers.
+        // Results are awaited, so async functions and functions returning thenables reply with their settled value.
+        const queue = [];
+        let busy = false;
+
+        // Values broadcast with `turbit.share` are kept here and read by tasks as `turbit.shared.<name>`; updates arrive with the first task sent after each new version.
+        const shared = {};
+        globalThis.turbit = { shared };
+
+        // getContext: Runs the `setup` of a run the first time this worker sees it and caches the state it returns; later tasks on this worker receive that state as `context`.
+        const contexts = new Map();
+        const getContext = async (message) => {
+            const key = message.setup.hash || `${message.setup.module}#${message.setup.export || ""}`;
+            if (!contexts.has(key)) {
+                const setup = await loadTask(message.setup);
+                const teardown = message.teardown ? await loadTask(message.teardown) : null;
+                const context = Promise.resolve().then(() => setup());
+                contexts.set(key, { context, teardown });
+                // A failed setup is not cached, so the next task on this worker tries again.
+                context.catch(() => contexts.delete(key));
+            }
+            return contexts.get(key).context;
+        };
+
+        // shutdown: Runs the `teardown` of every setup this worker ran, then exits. Teardown errors are ignored so the worker always exits.
+        let shuttingDown = false;
+        const shutdown = async () => {
+            for (const { context, teardown } of contexts.values()) {
+                if (teardown) {
+                    try {
+                        await teardown(await context);
+                    } catch (error) {
+                        // The worker is going away; there is nobody left to report to.
+                    }
+                }
+            }
+            process.exit(0);
+        };
+
+        const processQueue = async () => {
+            if (busy) {
+                return;
+            }
+            busy = true;
+            while (queue.length > 0) {
+                const message = queue.shift();
+                currentTask = message.id;
+                let started;
+                try {
+                    const func = await loadTask(message);
+                    // `output` is the region of the shared output buffer that belongs to this chunk; it is passed after the chunk, or as `output` next to `data`.
+                    const output = transfer.decode(message.output, wire);
+                    let args = transfer.decodeArgs(message.args, wire);
+                    if (output !== undefined) {
+                        args = Array.isArray(args) ? args.concat([output]) : { ...args, output };
+                    }
+                    // `context` is the state returned by the run's `setup`; it is passed last, or as `context` next to `data`.
+                    if (message.setup) {
+                        const context = await getContext(message);
+                        args = Array.isArray(args) ? args.concat([context]) : { ...args, context };
+                    }
+                    started = { time: process.hrtime.bigint(), cpu: process.cpuUsage(), at: now() };
+                    let result;
+                    if (Array.isArray(args)) {
+                        result = await func(...args);
+                    } else {
+                        result = await func(args);
+                    }
+                    const usage = measureUsage(started);
+                    channel.send({ id: message.id, result: transfer.encode(result, wire), output: message.collectOutput ? transfer.encode(output, wire) : undefined, memory: measureMemory(), usage });
+                } catch (error) {
+                    const usage = started && measureUsage(started);
+                    try {
+                        channel.send({ id: message.id, error: serializeError(error), memory: measureMemory(), usage });
+                    } catch (sendError) {
+                        // Whatever the error carries, the task still fails with its name, message and stack rather than taking the worker down.
+                        const fallback = error instanceof Error ? error : new Error(`Task failed with non-error value ${String(error)}`);
+                        channel.send({ id: message.id, error: { name: String(fallback.name), className: "Error", message: String(fallback.message), stack: String(fallback.stack) }, memory: measureMemory(), usage });
+                    }
+                }
+                currentTask = undefined;
+            }
+            busy = false;
+            if (shuttingDown) {
+                shutdown();
+            }
+        };
+
+        channel.on("message", (message) => {
+            if (message.shutdown) {
+                shuttingDown = true;
+                queue.length = 0;
+                if (!busy) {
+                    shutdown();
+                }
+                return;
+            }
+            // Shared values are applied on arrival, so a task dropped from the queue later does not lose them.
+            if (message.shares) {
+                message.shares.forEach(({ name, value, removed }) => {
+                    if (removed) {
+                        delete shared[name];
+                    } else {
+                        shared[name] = transfer.decode(value, wire);
+                    }
+                });
+            }
+            queue.push(message);
+            processQueue();
         });
+
+        // The parent sends no task before this handshake arrives.
+        channel.send({ ready: true });
     } else {
+        /**
+         * TurbitError: Base class of every error a run rejects with. Carries the execution `type`, the `functionName` of the task, the failing `chunk` index and the original worker error as `cause`.
+         */
+        class TurbitError extends Error {
+            constructor(message, details = {}) {
+                super(message);
+                this.name = "TurbitError";
+                this.type = details.type;
+                this.functionName = details.functionName;
+                this.chunk = details.chunk;
+                if (details.cause !== undefined) {
+                    this.cause = details.cause;
+                }
+                if (details.errors) {
+                    this.errors = details.errors;
+                }
+            }
+        }
+
+        /**
+         * WorkerExitError: Raised for a task whose child process exited before replying and that has no retries left.
+         */
+        class WorkerExitError extends TurbitError {
+            constructor(exitCode, signal, cause) {
+                const reason = cause ? cause.message : `exit code ${exitCode}, signal ${signal}`;
+                super(`Child process exited before completing the task (${reason}).`, { cause });
+                this.name = "WorkerExitError";
+                this.exitCode = exitCode;
+                this.signal = signal;
+            }
+        }
+
+        /**
+         * TimeoutError: Raised when a run or a single chunk exceeds its time limit. `chunks` lists the indexes of the chunks that did not finish; `chunk` is only set for a per-chunk timeout.
+         */
+        class TimeoutError extends TurbitError {
+            constructor(message, details = {}) {
+                super(message, details);
+                this.name = "TimeoutError";
+                this.code = "ETIMEDOUT";
+                this.chunks = details.chunks;
+                this.timeout = details.timeout;
+            }
+        }
+
+        /**
+         * AbortError: Raised when the `signal` passed to `run` is aborted. `chunks` lists the indexes of the chunks that did not finish.
+         */
+        class AbortError extends TurbitError {
+            constructor(chunks, reason) {
+                super(chunks.length ? `Turbit run was aborted; chunks ${chunks.join(", ")} did not finish.` : "Turbit run was aborted before it started.", { cause: reason });
+                this.name = "AbortError";
+                this.code = "ABORT_ERR";
+                this.chunks = chunks;
+            }
+        }
+
+        /**
+         * ThreadWorker: Wraps a worker_threads Worker in the part of the ChildProcess interface the pool relies on (`send`, `kill`, "message", "exit" and "error" events), so both backends share the same code paths.
+         */
+        class ThreadWorker extends EventEmitter {
+            constructor(childOptions, resourceLimits) {
+                super();
+                this.killed = false;
+                this.exitCode = null;
+                this.signalCode = null;
+                this.thread = new workerThreads.Worker(__filename, { workerData: { turbitChild: true, ...childOptions }, resourceLimits });
+                this.pid = this.thread.threadId;
+                this.thread.on("message", (message) => this.emit("message", message));
+                this.thread.on("error", (error) => {
+                    if (this.listenerCount("error") > 0) {
+                        this.emit("error", error);
+                    }
+                });
+                this.thread.on("exit", (exitCode) => {
+                    this.exitCode = exitCode;
+                    this.emit("exit", exitCode, this.signalCode);
+                });
+            }
+            send(message) {
+                this.thread.postMessage(message);
+                return true;
+            }
+            ref() {
+                this.thread.ref();
+            }
+            unref() {
+                this.thread.unref();
+            }
+            kill(signal = "SIGTERM") {
+                this.killed = true;
+                this.signalCode = signal;
+                this.thread.terminate();
+                return true;
+            }
+        }
+
+        /**
+         * ThreadMessageSizer: Serializes a message the way `measureBytes` counts it on the "threads" backend. `postMessage` shares a view on a SharedArrayBuffer without copying it and copies the whole buffer behind any other view, so views count as that rather than as their own bytes.
+         */
+        class ThreadMessageSizer extends v8.DefaultSerializer {
+            constructor() {
+                super();
+                this.viewBytes = 0;
+            }
+            _writeHostObject(view) {
+                this.viewBytes += view.buffer instanceof SharedArrayBuffer ? 0 : view.buffer.byteLength;
+                this.writeUint32(0);
+            }
+            static measure(message) {
+                const sizer = new ThreadMessageSizer();
+                sizer.writeHeader();
+                sizer.writeValue(message);
+                return sizer.releaseBuffer().length + sizer.viewBytes;
+            }
+        }
+
+        /**
+         * MetricsRegistry: Counters, gauges and histograms fed by a pool, rendered as Prometheus text exposition or as a JSON snapshot. Gauges are read from a `collect` callback when rendered; counters and histograms keep one series per set of labels.
+         */
+        class MetricsRegistry {
+            constructor() {
+                this.metrics = new Map();
+            }
+            counter(name, help) {
+                return this.register(name, help, "counter");
+            }
+            gauge(name, help, collect) {
+                return this.register(name, help, "gauge", { collect });
+            }
+            histogram(name, help, buckets) {
+                return this.register(name, help, "histogram", { buckets });
+            }
+            register(name, help, type, extra = {}) {
+                this.metrics.set(name, { name, help, type, series: new Map(), ...extra });
+            }
+            // series: Returns the series of a metric for `labels`, creating it on first use. Series are keyed by their Prometheus label string.
+            series(name, labels) {
+                const metric = this.metrics.get(name);
+                const key = Object.keys(labels).sort().map(label => `${label}="${String(labels[label]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`).join(",");
+                if (!metric.series.has(key)) {
+                    metric.series.set(key, metric.type === "histogram"
+                        ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+                        : { labels, value: 0 });
+                }
+                return metric.series.get(key);
+            }
+            inc(name, labels = {}, value = 1) {
+                this.series(name, labels).value += value;
+            }
+            observe(name, value, labels = {}) {
+                const metric = this.metrics.get(name);
+                const series = this.series(name, labels);
+                metric.buckets.forEach((bound, index) => {
+                    if (value <= bound) {
+                        series.counts[index]++;
+                    }
+                });
+                series.sum += value;
+                series.count++;
+            }
+            // collect: Reads the current value of every gauge.
+            collect() {
+                this.metrics.forEach(metric => {
+                    if (metric.collect) {
+                        this.series(metric.name, {}).value = metric.collect();
+                    }
+                });
+            }
+            toPrometheus() {
+                this.collect();
+                const lines = [];
+                const format = (name, key, value) => `${name}${key ? `{${key}}` : ""} ${value}`;
+                this.metrics.forEach(metric => {
+                    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+                    metric.series.forEach((series, key) => {
+                        if (metric.type !== "histogram") {
+                            lines.push(format(metric.name, key, series.value));
+                            return;
+                        }
+                        const prefix = key ? `${key},` : "";
+                        metric.buckets.forEach((bound, index) => lines.push(format(`${metric.name}_bucket`, `${prefix}le="${bound}"`, series.counts[index])));
+                        lines.push(format(`${metric.name}_bucket`, `${prefix}le="+Inf"`, series.count));
+                        lines.push(format(`${metric.name}_sum`, key, series.sum));
+                        lines.push(format(`${metric.name}_count`, key, series.count));
+                    });
+                });
+                return `${lines.join("\n")}\n`;
+            }
+            toJSON() {
+                this.collect();
+                const snapshot = {};
+                this.metrics.forEach(metric => {
+                    snapshot[metric.name] = {
+                        type: metric.type,
+                        help: metric.help,
+                        series: Array.from(metric.series.values(), series => metric.type === "histogram"
+                            ? { labels: series.labels, buckets: metric.buckets.map((bound, index) => ({ le: bound, count: series.counts[index] })).concat([{ le: "+Inf", count: series.count }]), sum: series.sum, count: series.count }
+                            : { labels: series.labels, value: series.value })
+                    };
+                });
+                return snapshot;
+            }
+        }
+
+        const LOG_LEVELS = ["debug", "info", "warn", "error"];
+        // consoleLogger: The default logger. Only warnings and errors are printed, so a healthy pool stays quiet.
+        const consoleLogger = {
+            warn: (message, fields) => console.warn(`turbit: ${message}`, fields),
+            error: (message, fields) => console.error(`turbit: ${message}`, fields)
+        };
+
+        const BACKENDS = ["fork", "threads"];
+        const STDIO_MODES = ["inherit", "pipe", "silent"];
+        const SERIALIZATIONS = ["json", "advanced"];
+        const ERROR_POLICIES = ["failFast", "collect", "allSettled"];
+        const CHUNKS_PER_PROCESS = 4;
+        // Workers in a row that may exit before sending `ready` before the pool stops respawning them.
+        const MAX_STARTUP_FAILURES = 3;
+        // Histogram buckets, in seconds, for task and run durations.
+        const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+        const BUILTIN_ERRORS = { Error, TypeError, RangeError, SyntaxError, ReferenceError, EvalError, URIError };
+
         /**
          * Creates a Turbit instance for high-speed multicore computing.
+         *
+         * @param {Object} [options] - The pool options.
+         * @param {number} [options.retries=0] - How many times a task is sent to a fresh child process after the one running it crashed. Can be overridden per `run`.
+         * @param {string} [options.backend="fork"] - How workers are created: "fork" runs each one in its own Node process for full isolation, "threads" runs them on `worker_threads` for faster startup and lower memory. Both run the same task protocol and expose the same `run`/`kill` API; "threads" passes messages by structured clone instead of JSON.
+         * @param {number} [options.minWorkers=0] - Number of child processes the pool keeps even when idle.
+         * @param {number} [options.maxWorkers=Infinity] - Upper bound on child processes, whatever `power` a run asks for.
+         * @param {boolean} [options.lazy=true] - Start only `minWorkers` child processes up front and fork the others on the first `run`. With `false` the pool starts one child per CPU core right away.
+         * @param {number} [options.idleTimeout=0] - Milliseconds a child process may stay idle before it is retired, never going below `minWorkers`. `0` keeps idle children until `kill`.
+         * @param {boolean} [options.closeOnExit=false] - Close the pool automatically on SIGINT, SIGTERM and `beforeExit`. Idle children then no longer keep the parent process alive, so a script that never calls `kill` or `close` still exits.
+         * @param {number} [options.graceMs=5000] - Default grace period of `close`, and of retiring an idle child, before remaining children are sent SIGKILL.
+         * @param {string} [options.serialization="json"] - How the "fork" backend serializes messages: "json", or "advanced" for Node's structured clone so Dates, Maps, Sets, BigInts, Buffers and TypedArrays arrive with their types. The "threads" backend always uses structured clone, which delivers Buffers as plain Uint8Arrays.
+         * @param {number} [options.maxHeapMb] - Heap limit of each child process in megabytes, passed as `--max-old-space-size` (or as the thread's `resourceLimits`). A child that runs out of heap crashes, and its task is retried on a fresh child according to `retries`.
+         * @param {number} [options.maxTasksPerWorker] - Recycle a child process after it has run this many tasks.
+         * @param {number} [options.maxRssMb] - Recycle a child process once its resident memory, measured after each task, exceeds this many megabytes. Worker threads share the RSS of the parent, so with "threads" the thread's own V8 heap is measured instead.
+         * A recycled child is replaced by a fresh one in the same slot and then stopped gracefully, running its `teardown` hooks; queued tasks wait for the replacement. Each recycle is reported as a "recycle" event (see `on`).
+         * @param {Object|null} [options.logger] - Receives the pool's log events as `logger[level](message, fields)` for the levels "debug", "info", "warn" and "error"; levels the logger does not implement are skipped, so `console`, pino or winston loggers can be passed as they are. `fields` holds structured details such as `runId`, `workerId` (the pid, or the thread id with "threads") and `chunk`. "debug" covers worker spawns and exits, dispatches and retries. Defaults to printing warnings and errors to the console; `null` silences everything.
+         * @param {string} [options.stdio="inherit"] - What happens to what tasks print with `console.log` and other writes to `process.stdout` and `process.stderr`:
+         *   - "inherit": it goes straight to the parent's output, as from any child process.
+         *   - "pipe": it is captured line by line and delivered as "log" events (see `on`); without a "log" listener each line is written to the parent's own stdout or stderr prefixed with `[worker <id> run <runId> chunk <chunk>]`.
+         *   - "silent": it is dropped.
+         * @param {string} [options.codecs] - Path of a module exporting an array of `{ name, is(value), encode(value), decode(data) }` codecs, resolved like a task `module` and loaded in the parent and every worker. Values matched by `is` anywhere in args, results, output and shared values are sent as `encode(value)` and rebuilt with `decode`, so custom classes keep their type.
          */
-        const Turbit = () => {
+        const Turbit = (options = {}) => {
+            const {
+                retries: DEFAULT_RETRIES = 0,
+                backend: BACKEND = "fork",
+                minWorkers: MIN_WORKERS = 0,
+                maxWorkers: MAX_WORKERS = Infinity,
+                lazy = true,
+                idleTimeout: IDLE_TIMEOUT = 0,
+                closeOnExit: CLOSE_ON_EXIT = false,
+                graceMs: DEFAULT_GRACE_MS = 5000,
+                serialization: SERIALIZATION = "json",
+                codecs,
+                maxHeapMb: MAX_HEAP_MB,
+                maxTasksPerWorker: MAX_TASKS_PER_WORKER,
+                maxRssMb: MAX_RSS_MB,
+                logger = consoleLogger,
+                stdio: STDIO = "inherit"
+            } = options;
+            if (!BACKENDS.includes(BACKEND)) {
+                throw new TurbitError(`Invalid backend specified: '${BACKEND}'. Valid backends are ${BACKENDS.map(backend => `'${backend}'`).join(", ")}.`);
+            }
+            if (!SERIALIZATIONS.includes(SERIALIZATION)) {
+                throw new TurbitError(`Invalid serialization specified: '${SERIALIZATION}'. Valid serializations are ${SERIALIZATIONS.map(serialization => `'${serialization}'`).join(", ")}.`);
+            }
+            if (!STDIO_MODES.includes(STDIO)) {
+                throw new TurbitError(`Invalid stdio specified: '${STDIO}'. Valid modes are ${STDIO_MODES.map(mode => `'${mode}'`).join(", ")}.`);
+            }
+            if (codecs !== undefined && typeof codecs !== "string") {
+                throw new TurbitError("Invalid codecs specified: 'codecs' must be the path of a module exporting an array of codecs.");
+            }
+            // Settings shared with every worker: the codec module is resolved once here so children load the same file whatever their cwd.
+            const CHILD_OPTIONS = {
+                serialization: SERIALIZATION,
+                stdio: STDIO,
+                codecs: codecs && (path.isAbsolute(codecs) ? codecs : require.resolve(codecs, { paths: [process.cwd()] }))
+            };
+            // Whether messages are passed by structured clone rather than JSON.
+            const STRUCTURED = BACKEND === "threads" || SERIALIZATION === "advanced";
+            const WIRE = {
+                views: !STRUCTURED,
+                codecs: transfer.loadCodecs(CHILD_OPTIONS.codecs)
+            };
+            if (!(Number.isInteger(MIN_WORKERS) && MIN_WORKERS >= 0) || !(MAX_WORKERS === Infinity || (Number.isInteger(MAX_WORKERS) && MAX_WORKERS >= 1)) || MIN_WORKERS > MAX_WORKERS) {
+                throw new TurbitError(`Invalid pool size specified: 'minWorkers' (${MIN_WORKERS}) and 'maxWorkers' (${MAX_WORKERS}) must be integers with 0 <= minWorkers <= maxWorkers and maxWorkers >= 1.`);
+            }
+            if (!(typeof IDLE_TIMEOUT === "number" && IDLE_TIMEOUT >= 0)) {
+                throw new TurbitError(`Invalid idle timeout specified: '${IDLE_TIMEOUT}'. 'idleTimeout' must be a non-negative number of milliseconds.`);
+            }
+            const limits = { maxHeapMb: MAX_HEAP_MB, maxTasksPerWorker: MAX_TASKS_PER_WORKER, maxRssMb: MAX_RSS_MB };
+            Object.keys(limits).forEach(key => {
+                const valid = key === "maxTasksPerWorker" ? Number.isInteger(limits[key]) : typeof limits[key] === "number";
+                if (limits[key] !== undefined && !(valid && limits[key] > 0)) {
+                    throw new TurbitError(`Invalid worker limit specified: '${key}' must be a positive ${key === "maxTasksPerWorker" ? "integer" : "number"}, got '${limits[key]}'.`);
+                }
+            });
+            if (logger !== null && logger !== false && (typeof logger !== "object" || !LOG_LEVELS.some(level => typeof logger[level] === "function"))) {
+                throw new TurbitError(`Invalid logger specified: 'logger' must be null or an object with at least one of the methods ${LOG_LEVELS.join(", ")}.`);
+            }
+            // LOG: One function per level; those the logger does not implement do nothing.
+            const LOG = Object.fromEntries(LOG_LEVELS.map(level => [level, logger && typeof logger[level] === "function" ? (message, fields) => logger[level](message, fields) : () => {}]));
             const MAX_PROCESSES = os.cpus().length;
+            // Pool events, such as "recycle", delivered to listeners added with `on`.
+            const EVENTS = new EventEmitter();
             let CHILD_PROCESSES = [];
+            // Child processes removed from the pool by a resize while still busy; each one stops after its last reply.
+            let RETIRING_PROCESSES = new Set();
+            let TASK_ID = 0;
+            let RUN_ID = 0;
+            // Workers that exited before they were ready since the last one that booted.
+            let STARTUP_FAILURES = 0;
+            let TASK_QUEUE = [];
+            // Number of tasks created and not yet settled, and the `close` calls waiting for it to reach zero.
+            let ACTIVE_TASKS = 0;
+            let DRAIN_WAITERS = [];
+            let CLOSING = null;
+            let EXIT_HOOKS = null;
+            // Values broadcast to every worker with `share`, each with the version that workers compare against what they were last sent.
+            const SHARED = new Map();
+            let SHARED_VERSION = 0;
+            // Metrics of the pool and its runs, returned by `metrics` and served by the listeners started with `serveMetrics`.
+            const METRICS = new MetricsRegistry();
+            const METRICS_SERVERS = new Set();
+            METRICS.gauge("turbit_queue_depth", "Tasks waiting for an idle worker.", () => TASK_QUEUE.length);
+            METRICS.gauge("turbit_workers", "Workers in the pool.", () => CHILD_PROCESSES.length);
+            METRICS.gauge("turbit_workers_busy", "Workers running a task, including those being retired.", () => CHILD_PROCESSES.concat(Array.from(RETIRING_PROCESSES)).filter(worker => worker.pendingTasks.size > 0).length);
+            METRICS.gauge("turbit_tasks_active", "Tasks queued or running.", () => ACTIVE_TASKS);
+            METRICS.counter("turbit_tasks_total", "Tasks settled, by status.");
+            METRICS.histogram("turbit_task_duration_seconds", "Time from sending a task to a worker until its reply.", DURATION_BUCKETS);
+            METRICS.counter("turbit_task_retries_total", "Tasks sent again after their worker crashed.");
+            METRICS.counter("turbit_worker_respawns_total", "Workers replaced, by reason: crash, cancel (timeout or abort) or recycle.");
+            METRICS.counter("turbit_runs_total", "Runs finished, by type and status.");
+            METRICS.histogram("turbit_run_duration_seconds", "Duration of runs.", DURATION_BUCKETS);
             /**
              * core: Manages child processes and task distribution for parallel execution.
              */
@@ -46,42 +756,713 @@ if (typeof process === "undefined" || !process.versions || !process.versions.nod
                 startProcesses: function (numProcesses = MAX_PROCESSES) {
                     for (let i = CHILD_PROCESSES.length; i < numProcesses; i++) {
                         try {
-                            const newChildProcess = childProcess.fork(__filename, ["child"]);
-                            CHILD_PROCESSES.push(newChildProcess);
+                            CHILD_PROCESSES.push(core.forkProcess());
                         } catch (error) {
-                            console.log(`Error: Maintaining current level of child processes due to resource limitation - ${error.message}`);
+                            LOG.warn("Could not start a worker; keeping the current number of workers.", { workers: CHILD_PROCESSES.length, requested: numProcesses, error: error.message });
                             break;
                         }
                     }
                 },
+                forkProcess: function () {
+                    const newChildProcess = BACKEND === "threads"
+                        ? new ThreadWorker(CHILD_OPTIONS, MAX_HEAP_MB ? { maxOldGenerationSizeMb: MAX_HEAP_MB } : undefined)
+                        : childProcess.fork(__filename, ["child", JSON.stringify(CHILD_OPTIONS)], {
+                            serialization: SERIALIZATION,
+                            // A silent child cannot reach the terminal even through native writes that bypass `process.stdout`.
+                            stdio: STDIO === "silent" ? ["inherit", "ignore", "ignore", "ipc"] : "inherit",
+                            execArgv: MAX_HEAP_MB ? process.execArgv.concat(`--max-old-space-size=${MAX_HEAP_MB}`) : process.execArgv
+                        });
+                    core.attachProcess(newChildProcess);
+                    LOG.debug("Worker spawned.", { workerId: newChildProcess.pid, backend: BACKEND });
+                    return newChildProcess;
+                },
                 killProcesses: function () {
-                    CHILD_PROCESSES.forEach(worker => {
+                    CHILD_PROCESSES.concat(Array.from(RETIRING_PROCESSES)).forEach(worker => {
+                        worker.exited = true;
+                        clearTimeout(worker.idleTimer);
                         if (!worker.killed) {
                             worker.kill();
                             worker.removeAllListeners();
                         }
+                        worker.pendingTasks.forEach(task => task.reject(new WorkerExitError(null, "SIGTERM")));
+                        worker.pendingTasks.clear();
                     });
+                    TASK_QUEUE.forEach(task => task.reject(new WorkerExitError(null, "SIGTERM")));
+                    core.closeMetricsServers();
 
                     CHILD_PROCESSES = [];
+                    RETIRING_PROCESSES = new Set();
+                    TASK_QUEUE = [];
                 },
-                createWorkerPromises: function (tasks, numProcesses) {
-                    return tasks.map((task, index) => {
-                        const worker = CHILD_PROCESSES[index % numProcesses];
-                        return new Promise((resolve, reject) => {
-                            worker.send({
-                                func: task.func.toString(),
-                                args: task.args || []
-                            });
-                            worker.once("message", (message) => {
-                                if (message.error) {
-                                    reject(new Error(message.error));
-                                } else {
-                                    resolve(message.result);
-                                }
-                            });
+                // attachProcess: Routes every reply of a child process to the pending task with the same id, and watches the process for crashes.
+                attachProcess: function (worker) {
+                    worker.pendingTasks = new Map();
+                    worker.registeredTasks = new Set();
+                    worker.sharedVersions = new Map();
+                    worker.tasksRun = 0;
+                    worker.exited = false;
+                    worker.ready = false;
+                    worker.hasExited = false;
+                    worker.idleTimer = null;
+                    worker.logBuffers = { stdout: "", stderr: "" };
+                    worker.once("exit", (exitCode, signal) => {
+                        worker.hasExited = true;
+                        // Whatever a task printed before its worker died is still tagged with it.
+                        core.flushLogs(worker, worker.pendingTasks.values().next().value);
+                        LOG.debug("Worker exited.", { workerId: worker.pid, exitCode, signal });
+                    });
+                    worker.on("message", (message) => {
+                        if (message.log) {
+                            core.handleLog(worker, message.log);
+                            return;
+                        }
+                        if (message.ready) {
+                            worker.ready = true;
+                            STARTUP_FAILURES = 0;
+                            core.dispatchTasks();
+                            core.markIdle(worker);
+                            return;
+                        }
+                        const task = worker.pendingTasks.get(message.id);
+                        if (!task) {
+                            return;
+                        }
+                        worker.pendingTasks.delete(message.id);
+                        worker.tasksRun++;
+                        core.flushLogs(worker, task);
+                        task.receivedAt = process.hrtime.bigint();
+                        task.usage = message.usage;
+                        METRICS.observe("turbit_task_duration_seconds", Number(task.receivedAt - task.sentAt) / 1e9);
+                        if (task.measureBytes) {
+                            task.bytesReceived += helper.measureMessage(message);
+                        }
+                        if (message.error) {
+                            task.reject(helper.deserializeError(message.error));
+                        } else {
+                            // A discarded task's run has already failed, so its late output is not written back.
+                            if (message.output !== undefined && task.output && !task.settled) {
+                                task.output.set(transfer.decode(message.output, WIRE));
+                            }
+                            task.resolve(transfer.decode(message.result, WIRE));
+                        }
+                        if (task.spans) {
+                            core.traceReply(task, worker, message);
+                        }
+                        const recycleReason = core.checkRecycle(worker, message.memory);
+                        if (worker.retiring && worker.pendingTasks.size === 0) {
+                            core.retireProcess(worker);
+                        } else if (recycleReason && worker.pendingTasks.size === 0) {
+                            core.recycleProcess(worker, recycleReason, message.memory);
+                        }
+                        core.dispatchTasks();
+                        if (!worker.exited) {
+                            core.markIdle(worker);
+                        }
+                    });
+                    worker.on("exit", (exitCode, signal) => core.handleExit(worker, exitCode, signal));
+                    worker.on("error", (error) => {
+                        if (!worker.killed) {
+                            worker.kill("SIGKILL");
+                        }
+                        core.handleExit(worker, worker.exitCode, worker.signalCode, error);
+                    });
+                },
+                // handleLog: Splits the output captured from a worker into lines; a partial line waits for the rest of it, or for the reply of its task (the worker's exit for output printed outside a task).
+                handleLog: function (worker, { stream, text, id }) {
+                    const task = id !== undefined ? worker.pendingTasks.get(id) : undefined;
+                    const lines = (worker.logBuffers[stream] + text).split("\n");
+                    worker.logBuffers[stream] = lines.pop();
+                    lines.forEach(line => core.emitLog(worker, stream, line, task));
+                },
+                // flushLogs: Emits the partial lines a worker left unfinished, tagged with the task that printed them, if any.
+                flushLogs: function (worker, task) {
+                    Object.keys(worker.logBuffers).forEach(stream => {
+                        if (worker.logBuffers[stream]) {
+                            core.emitLog(worker, stream, worker.logBuffers[stream], task);
+                            worker.logBuffers[stream] = "";
+                        }
+                    });
+                },
+                // emitLog: Delivers a captured line as a "log" event, or writes it to the parent's own stream tagged with where it came from.
+                emitLog: function (worker, stream, line, task) {
+                    const entry = { stream, line, workerId: worker.pid, runId: task && task.runId, chunk: task && task.chunk };
+                    if (EVENTS.listenerCount("log") > 0) {
+                        EVENTS.emit("log", entry);
+                        return;
+                    }
+                    process[stream].write(`[worker ${entry.workerId}${task ? ` run ${entry.runId} chunk ${entry.chunk}` : ""}] ${line}\n`);
+                },
+                // handleExit: Replaces a crashed child process in place and retries the tasks it was running while any worker is left to run them, or rejects them.
+                handleExit: function (worker, exitCode, signal, cause) {
+                    if (worker.exited) {
+                        return;
+                    }
+                    if (!worker.ready && ++STARTUP_FAILURES >= MAX_STARTUP_FAILURES) {
+                        core.abandonProcess(worker, exitCode, signal, cause);
+                        return;
+                    }
+                    const replacement = core.replaceProcess(worker, "crash");
+                    LOG.warn("Worker exited unexpectedly.", { workerId: worker.pid, exitCode, signal, error: cause && cause.message, replacement: replacement ? replacement.pid : null });
+                    // Retries go to whichever worker the pool still has, ready or starting: a retiring worker has no slot of its own to be replaced in.
+                    const canRetry = CHILD_PROCESSES.some(child => !child.exited);
+                    worker.pendingTasks.forEach(task => {
+                        if (task.settled) {
+                            return;
+                        }
+                        if (canRetry && task.attempts < task.retries) {
+                            task.attempts++;
+                            METRICS.inc("turbit_task_retries_total");
+                            LOG.debug("Task retried after its worker exited.", { runId: task.runId, workerId: worker.pid, chunk: task.chunk, attempt: task.attempts + 1 });
+                            core.queueTask(task, true);
+                        } else {
+                            task.reject(new WorkerExitError(exitCode, signal, cause));
+                        }
+                    });
+                    worker.pendingTasks.clear();
+                    core.dispatchTasks();
+                },
+                // abandonProcess: Removes a worker that exited before it was ready without replacing it, once too many have in a row: a worker that cannot boot (a failing `codecs` module, a heap limit too small to start) would otherwise be respawned forever. Queued tasks are rejected when no ready worker is left to run them.
+                abandonProcess: function (worker, exitCode, signal, cause) {
+                    worker.exited = true;
+                    clearTimeout(worker.idleTimer);
+                    RETIRING_PROCESSES.delete(worker);
+                    CHILD_PROCESSES = CHILD_PROCESSES.filter(child => child !== worker);
+                    const reason = cause ? cause.message : `exit code ${exitCode}, signal ${signal}`;
+                    const error = new WorkerExitError(exitCode, signal, new TurbitError(`${STARTUP_FAILURES} workers in a row exited before they were ready, the last with ${reason}`, { cause }));
+                    LOG.error("Workers keep exiting before they are ready; not respawning.", { workerId: worker.pid, exitCode, signal, error: reason, failures: STARTUP_FAILURES });
+                    worker.pendingTasks.forEach(task => task.reject(error));
+                    worker.pendingTasks.clear();
+                    if (!CHILD_PROCESSES.some(child => child.ready)) {
+                        const queued = TASK_QUEUE;
+                        TASK_QUEUE = [];
+                        queued.forEach(task => task.reject(error));
+                    }
+                },
+                // markIdle: Starts the idle countdown of a child process with no work; when it runs out the child is retired, as long as the pool stays at `minWorkers` or above.
+                markIdle: function (worker) {
+                    if (worker.pendingTasks.size > 0) {
+                        return;
+                    }
+                    if (CLOSE_ON_EXIT) {
+                        core.setRef(worker, false);
+                    }
+                    if (!IDLE_TIMEOUT) {
+                        return;
+                    }
+                    clearTimeout(worker.idleTimer);
+                    worker.idleTimer = setTimeout(() => {
+                        if (!worker.exited && worker.pendingTasks.size === 0 && CHILD_PROCESSES.length > MIN_WORKERS) {
+                            core.retireProcess(worker);
+                        }
+                    }, IDLE_TIMEOUT);
+                    worker.idleTimer.unref();
+                },
+                // setRef: With `closeOnExit`, only busy child processes keep the event loop of the parent alive, so `beforeExit` can fire once all work is done.
+                setRef: function (worker, active) {
+                    const method = active ? "ref" : "unref";
+                    worker[method]();
+                    if (worker.channel) {
+                        worker.channel[method]();
+                    }
+                },
+                // stopProcess: Asks a child process to run its teardown hooks and exit, and resolves once it has exited, escalating to SIGKILL after `graceMs`.
+                stopProcess: function (worker, graceMs) {
+                    worker.exited = true;
+                    clearTimeout(worker.idleTimer);
+                    if (worker.hasExited) {
+                        return Promise.resolve();
+                    }
+                    if (CLOSE_ON_EXIT) {
+                        core.setRef(worker, true);
+                    }
+                    return new Promise(resolve => {
+                        const timer = setTimeout(() => worker.kill("SIGKILL"), graceMs);
+                        worker.once("exit", () => {
+                            clearTimeout(timer);
+                            resolve();
+                        });
+                        try {
+                            worker.send({ shutdown: true });
+                        } catch (error) {
+                            worker.kill("SIGTERM");
+                        }
+                    });
+                },
+                // closePool: Closes the pool once; later calls return the same promise.
+                closePool: function (drain, graceMs) {
+                    if (!CLOSING) {
+                        CLOSING = core.shutdownPool(drain, graceMs);
+                    }
+                    return CLOSING;
+                },
+                // shutdownPool: Drains or rejects the remaining tasks and resolves once every child process has exited.
+                shutdownPool: async function (drain, graceMs) {
+                    core.removeExitHooks();
+                    core.closeMetricsServers();
+                    if (drain) {
+                        if (ACTIVE_TASKS > 0) {
+                            await new Promise(resolve => DRAIN_WAITERS.push(resolve));
+                        }
+                    } else {
+                        const error = new TurbitError("Turbit instance was closed before the task completed.");
+                        TASK_QUEUE.forEach(task => task.reject(error));
+                        TASK_QUEUE = [];
+                        CHILD_PROCESSES.concat(Array.from(RETIRING_PROCESSES)).forEach(worker => {
+                            worker.pendingTasks.forEach(task => task.reject(error));
+                            worker.pendingTasks.clear();
+                        });
+                    }
+                    const workers = CHILD_PROCESSES.concat(Array.from(RETIRING_PROCESSES));
+                    CHILD_PROCESSES = [];
+                    RETIRING_PROCESSES = new Set();
+                    await Promise.all(workers.map(worker => core.stopProcess(worker, graceMs)));
+                },
+                // serveMetrics: Starts an HTTP listener answering GET /metrics with Prometheus text and GET /metrics.json with the JSON snapshot.
+                serveMetrics: function (port, host) {
+                    return new Promise((resolve, reject) => {
+                        const server = http.createServer((request, response) => {
+                            const pathname = request.url.split("?")[0];
+                            if (request.method !== "GET" || (pathname !== "/metrics" && pathname !== "/metrics.json")) {
+                                response.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+                                response.end("Not found\n");
+                                return;
+                            }
+                            const json = pathname === "/metrics.json";
+                            response.writeHead(200, { "Content-Type": json ? "application/json; charset=utf-8" : "text/plain; version=0.0.4; charset=utf-8" });
+                            response.end(json ? JSON.stringify(METRICS.toJSON()) : METRICS.toPrometheus());
+                        });
+                        server.once("error", reject);
+                        server.listen(port, host, () => {
+                            server.removeListener("error", reject);
+                            server.unref();
+                            METRICS_SERVERS.add(server);
+                            resolve(server);
                         });
                     });
                 },
+                closeMetricsServers: function () {
+                    METRICS_SERVERS.forEach(server => server.close());
+                    METRICS_SERVERS.clear();
+                },
+                // installExitHooks: Closes the pool on SIGINT, SIGTERM and `beforeExit`. After closing, a signal nothing else listens to is raised again so the parent still exits the default way.
+                installExitHooks: function () {
+                    const onSignal = (signal) => {
+                        core.closePool(false, DEFAULT_GRACE_MS).then(() => {
+                            if (process.listenerCount(signal) === 0) {
+                                process.kill(process.pid, signal);
+                            }
+                        });
+                    };
+                    const onBeforeExit = () => core.closePool(true, DEFAULT_GRACE_MS);
+                    EXIT_HOOKS = { SIGINT: onSignal, SIGTERM: onSignal, beforeExit: onBeforeExit };
+                    Object.keys(EXIT_HOOKS).forEach(event => process.on(event, EXIT_HOOKS[event]));
+                },
+                removeExitHooks: function () {
+                    if (EXIT_HOOKS) {
+                        Object.keys(EXIT_HOOKS).forEach(event => process.removeListener(event, EXIT_HOOKS[event]));
+                        EXIT_HOOKS = null;
+                    }
+                },
+                // retireProcess: Removes a child process from the pool. An idle one is stopped right away; a busy one gets no new tasks and stops after its last reply.
+                retireProcess: function (worker) {
+                    clearTimeout(worker.idleTimer);
+                    CHILD_PROCESSES = CHILD_PROCESSES.filter(child => child !== worker);
+                    if (worker.pendingTasks.size > 0) {
+                        worker.retiring = true;
+                        RETIRING_PROCESSES.add(worker);
+                        return;
+                    }
+                    RETIRING_PROCESSES.delete(worker);
+                    core.stopProcess(worker, DEFAULT_GRACE_MS);
+                },
+                // resizePool: Grows the pool by forking only the missing child processes, or shrinks it by retiring the most recently added ones, idle ones first.
+                resizePool: function (size) {
+                    if (size > CHILD_PROCESSES.length) {
+                        core.startProcesses(size);
+                        return;
+                    }
+                    const excess = CHILD_PROCESSES.length - size;
+                    const candidates = CHILD_PROCESSES.slice().reverse().sort((a, b) => a.pendingTasks.size - b.pendingTasks.size);
+                    candidates.slice(0, excess).forEach(worker => core.retireProcess(worker));
+                },
+                // replaceProcess: Retires a child process and forks a new one into its slot, returning the replacement or null if forking failed. `reason` labels the respawn in the metrics.
+                replaceProcess: function (worker, reason) {
+                    worker.exited = true;
+                    RETIRING_PROCESSES.delete(worker);
+                    const index = CHILD_PROCESSES.indexOf(worker);
+                    if (index === -1) {
+                        return null;
+                    }
+                    try {
+                        const replacement = core.forkProcess();
+                        CHILD_PROCESSES[index] = replacement;
+                        METRICS.inc("turbit_worker_respawns_total", { reason });
+                        return replacement;
+                    } catch (error) {
+                        CHILD_PROCESSES.splice(index, 1);
+                        return null;
+                    }
+                },
+                // checkRecycle: Tells whether a child process has reached `maxTasksPerWorker` ("tasks") or `maxRssMb` ("memory") and should be recycled.
+                checkRecycle: function (worker, memory) {
+                    if (MAX_TASKS_PER_WORKER && worker.tasksRun >= MAX_TASKS_PER_WORKER) {
+                        return "tasks";
+                    }
+                    if (MAX_RSS_MB && memory > MAX_RSS_MB * 1024 * 1024) {
+                        return "memory";
+                    }
+                    return null;
+                },
+                // recycleProcess: Forks a fresh child process into the slot of one that reached its limits and stops the old one gracefully. Queued tasks stay in the queue for the replacement.
+                recycleProcess: function (worker, reason, memory) {
+                    if (worker.exited) {
+                        return;
+                    }
+                    const replacement = core.replaceProcess(worker, "recycle");
+                    core.stopProcess(worker, DEFAULT_GRACE_MS);
+                    const event = { pid: worker.pid, reason, tasks: worker.tasksRun, memory, replacement: replacement ? replacement.pid : null };
+                    LOG.info("Worker recycled.", { workerId: event.pid, reason, tasks: event.tasks, memory, replacement: event.replacement });
+                    EVENTS.emit("recycle", event);
+                },
+                // terminateProcess: Kills a child process that is stuck on a cancelled task and puts its remaining tasks back at the front of the queue.
+                terminateProcess: function (worker) {
+                    if (worker.exited) {
+                        return;
+                    }
+                    const replacement = core.replaceProcess(worker, "cancel");
+                    worker.kill("SIGKILL");
+                    worker.pendingTasks.forEach(task => {
+                        if (task.settled) {
+                            return;
+                        }
+                        if (replacement) {
+                            core.queueTask(task, true);
+                        } else {
+                            task.reject(new WorkerExitError(null, "SIGKILL"));
+                        }
+                    });
+                    worker.pendingTasks.clear();
+                    core.dispatchTasks();
+                },
+                // cancelTasks: Rejects the given tasks with `error` and replaces every child process that was still running one of them.
+                cancelTasks: function (tasks, error) {
+                    const workers = new Set();
+                    core.unqueueTasks(tasks);
+                    tasks.forEach(task => {
+                        if (task.worker && task.worker.pendingTasks.delete(task.id)) {
+                            workers.add(task.worker);
+                        }
+                        task.reject(error);
+                    });
+                    workers.forEach(worker => core.terminateProcess(worker));
+                },
+                // queueTask: Adds a task to the shared queue (at the front for retries) and dispatches whatever can start now.
+                queueTask: function (task, front = false) {
+                    task.queuedAt = now();
+                    if (front) {
+                        TASK_QUEUE.unshift(task);
+                    } else {
+                        TASK_QUEUE.push(task);
+                    }
+                    core.dispatchTasks();
+                },
+                unqueueTasks: function (tasks) {
+                    const removed = new Set(tasks);
+                    TASK_QUEUE = TASK_QUEUE.filter(task => !removed.has(task));
+                },
+                // dispatchTasks: Hands queued tasks, in order, to idle child processes. A child runs one task at a time, so whichever child finishes first pulls the next task; a run keeps at most `numProcesses` children busy at a time, whichever children those are.
+                dispatchTasks: function () {
+                    const running = new Map();
+                    CHILD_PROCESSES.concat(Array.from(RETIRING_PROCESSES)).forEach(worker => {
+                        worker.pendingTasks.forEach(task => running.set(task.runId, (running.get(task.runId) || 0) + 1));
+                    });
+                    let index = 0;
+                    while (index < TASK_QUEUE.length) {
+                        const task = TASK_QUEUE[index];
+                        const worker = !task.paused && (running.get(task.runId) || 0) < task.numProcesses && CHILD_PROCESSES.find(child => child.ready && !child.exited && child.pendingTasks.size === 0);
+                        if (worker) {
+                            TASK_QUEUE.splice(index, 1);
+                            core.sendTask(worker, task);
+                            if (worker.pendingTasks.has(task.id)) {
+                                running.set(task.runId, (running.get(task.runId) || 0) + 1);
+                            }
+                        } else {
+                            index++;
+                        }
+                    }
+                },
+                // createTask: Builds the pending entry of a chunk; settling it clears its timer so a late timeout cannot fire.
+                createTask: function (task, chunk, numProcesses, settings, resolve, reject) {
+                    const entry = {
+                        id: ++TASK_ID,
+                        runId: settings.runId,
+                        chunk,
+                        numProcesses,
+                        ...settings.task,
+                        setup: settings.setup,
+                        teardown: settings.teardown,
+                        args: task.args || [],
+                        output: task.output,
+                        retries: settings.retries || 0,
+                        attempts: 0,
+                        timeout: settings.taskTimeout,
+                        timer: null,
+                        settled: false,
+                        // Timings and usage of the last attempt, for the stats of the run.
+                        createdAt: process.hrtime.bigint(),
+                        sentAt: null,
+                        receivedAt: null,
+                        usage: null,
+                        pid: null,
+                        measureBytes: Boolean(settings.measureBytes),
+                        bytesSent: 0,
+                        bytesReceived: 0,
+                        // Spans of every attempt when the run is traced: `{ name, tid, start, end, args }`, with `tid` the worker pid (0 for the queue).
+                        spans: settings.trace ? [] : null,
+                        paused: Boolean(settings.autoPower && settings.autoPower.paused),
+                        worker: null
+                    };
+                    const settle = (callback, status) => (value) => {
+                        if (entry.settled) {
+                            return;
+                        }
+                        entry.settled = true;
+                        clearTimeout(entry.timer);
+                        METRICS.inc("turbit_tasks_total", { status });
+                        callback(value);
+                        if (--ACTIVE_TASKS === 0) {
+                            DRAIN_WAITERS.forEach(resolve => resolve());
+                            DRAIN_WAITERS = [];
+                        }
+                    };
+                    ACTIVE_TASKS++;
+                    entry.resolve = settle(resolve, "succeeded");
+                    entry.reject = settle(reject, "failed");
+                    return entry;
+                },
+                // packTask: Picks the fields that identify a task function. The source of a function is sent to each worker only once; after that the worker runs it from its registry by hash.
+                packTask: function (worker, task) {
+                    const registered = task.hash !== undefined && worker.registeredTasks.has(task.hash);
+                    if (task.hash !== undefined) {
+                        worker.registeredTasks.add(task.hash);
+                    }
+                    return {
+                        name: task.name,
+                        hash: task.hash,
+                        func: registered ? undefined : task.func,
+                        module: task.module,
+                        export: task.export
+                    };
+                },
+                // packShares: Collects the shared values this worker has not received in their current version, and the names that were unshared since.
+                packShares: function (worker) {
+                    const shares = [];
+                    SHARED.forEach(({ version, value }, name) => {
+                        if (worker.sharedVersions.get(name) !== version) {
+                            shares.push({ name, value: transfer.encode(value, WIRE) });
+                            worker.sharedVersions.set(name, version);
+                        }
+                    });
+                    worker.sharedVersions.forEach((version, name) => {
+                        if (!SHARED.has(name)) {
+                            shares.push({ name, removed: true });
+                            worker.sharedVersions.delete(name);
+                        }
+                    });
+                    return shares.length > 0 ? shares : undefined;
+                },
+                shareValue: function (name, value) {
+                    SHARED.set(name, { version: ++SHARED_VERSION, value });
+                    return SHARED_VERSION;
+                },
+                sendTask: function (worker, task) {
+                    clearTimeout(worker.idleTimer);
+                    if (CLOSE_ON_EXIT) {
+                        core.setRef(worker, true);
+                    }
+                    const sendStart = now();
+                    task.worker = worker;
+                    task.pid = worker.pid;
+                    task.sentAt = process.hrtime.bigint();
+                    task.usage = null;
+                    worker.pendingTasks.set(task.id, task);
+                    if (task.timeout) {
+                        clearTimeout(task.timer);
+                        task.timer = setTimeout(() => {
+                            core.cancelTasks([task], new TimeoutError(`Chunk ${task.chunk} did not finish within ${task.timeout}ms.`, { chunk: task.chunk, chunks: [task.chunk], timeout: task.timeout }));
+                        }, task.timeout);
+                    }
+                    // Worker threads share SharedArrayBuffer-backed output directly; anything else is written back by the parent when the reply arrives.
+                    const sharedOutput = BACKEND === "threads" && task.output && task.output.buffer instanceof SharedArrayBuffer;
+                    // What the worker is recorded to have received is restored if the message cannot be sent, so the next task sends it again.
+                    const registeredTasks = new Set(worker.registeredTasks);
+                    const sharedVersions = new Map(worker.sharedVersions);
+                    try {
+                        const message = {
+                            id: task.id,
+                            shares: core.packShares(worker),
+                            ...core.packTask(worker, task),
+                            setup: task.setup && core.packTask(worker, task.setup),
+                            teardown: task.teardown && core.packTask(worker, task.teardown),
+                            args: transfer.encodeArgs(task.args, WIRE),
+                            output: transfer.encode(task.output, WIRE),
+                            collectOutput: Boolean(task.output) && !sharedOutput
+                        };
+                        if (task.measureBytes) {
+                            task.bytesSent += helper.measureMessage(message);
+                        }
+                        worker.send(message);
+                    } catch (error) {
+                        // A value the channel cannot serialize (a BigInt or a circular object with JSON serialization) fails this task only; the worker stays idle for the next one.
+                        worker.pendingTasks.delete(task.id);
+                        worker.registeredTasks = registeredTasks;
+                        worker.sharedVersions = sharedVersions;
+                        task.reject(new TurbitError(`The task could not be sent to a worker: ${error.message}`, { chunk: task.chunk, cause: error }));
+                        core.markIdle(worker);
+                        return;
+                    }
+                    LOG.debug("Task dispatched.", { runId: task.runId, workerId: worker.pid, chunk: task.chunk, attempt: task.attempts + 1 });
+                    if (task.spans) {
+                        task.sentAtMs = now();
+                        task.spans.push({ name: "queued", tid: 0, start: task.queuedAt, end: sendStart, args: { chunk: task.chunk, attempt: task.attempts + 1 } });
+                        task.spans.push({ name: "serialize", tid: worker.pid, start: sendStart, end: task.sentAtMs, args: { chunk: task.chunk } });
+                    }
+                },
+                // traceReply: Records the spans of a reply on the worker's track: "dispatch" until the task function started in the worker, "compute" while it ran, and "collect" for sending back and decoding the result. A task that failed before it started gets a single "dispatch" span.
+                traceReply: function (task, worker, message) {
+                    const collectedAt = now();
+                    const args = { chunk: task.chunk, ...(message.error && { error: message.error.message }) };
+                    const usage = message.usage;
+                    if (!usage) {
+                        task.spans.push({ name: "dispatch", tid: worker.pid, start: task.sentAtMs, end: collectedAt, args });
+                        return;
+                    }
+                    task.spans.push({ name: "dispatch", tid: worker.pid, start: task.sentAtMs, end: usage.startedAt, args });
+                    task.spans.push({ name: "compute", tid: worker.pid, start: usage.startedAt, end: usage.endedAt, args });
+                    task.spans.push({ name: "collect", tid: worker.pid, start: usage.endedAt, end: collectedAt, args });
+                },
+                // discardTasks: Drops unfinished tasks without killing their child processes. Queued ones leave the queue; a running one stays pending on its worker, which counts as busy and gets no new task until the discarded one replies.
+                discardTasks: function (tasks, error) {
+                    core.unqueueTasks(tasks);
+                    tasks.forEach(task => task.reject(error));
+                },
+                // watchRun: Applies the run-level `timeout`, `signal` and "failFast" error policy to every chunk of a run that has not finished yet.
+                watchRun: function (entries, promises, settings) {
+                    const { timeout, signal, errorPolicy } = settings;
+                    const unfinished = () => entries.filter(entry => !entry.settled);
+                    if (errorPolicy === "failFast") {
+                        promises.forEach(promise => promise.catch(error => core.discardTasks(unfinished(), error)));
+                    }
+                    if (!timeout && !signal) {
+                        return;
+                    }
+                    const onAbort = () => {
+                        const pending = unfinished();
+                        core.cancelTasks(pending, new AbortError(pending.map(entry => entry.chunk), signal.reason));
+                    };
+                    const timer = timeout ? setTimeout(() => {
+                        const pending = unfinished();
+                        const chunks = pending.map(entry => entry.chunk);
+                        core.cancelTasks(pending, new TimeoutError(`Turbit run did not finish within ${timeout}ms; chunks ${chunks.join(", ")} did not finish.`, { chunks, timeout }));
+                    }, timeout) : null;
+                    if (signal) {
+                        signal.addEventListener("abort", onAbort, { once: true });
+                    }
+
+                    Promise.allSettled(promises).then(() => {
+                        clearTimeout(timer);
+                        if (signal) {
+                            signal.removeEventListener("abort", onAbort);
+                        }
+                    });
+                },
+                createWorkerPromises: function (tasks, numProcesses, settings = {}) {
+                    if (settings.signal && settings.signal.aborted) {
+                        throw new AbortError([], settings.signal.reason);
+                    }
+                    const entries = [];
+                    const promises = tasks.map((task, chunk) => new Promise((resolve, reject) => {
+                        const entry = core.createTask(task, chunk, numProcesses, settings, resolve, reject);
+                        entries.push(entry);
+                        core.queueTask(entry);
+                    }));
+                    settings.entries = entries;
+                    core.watchRun(entries, promises, settings);
+                    core.watchPower(entries, promises, settings);
+                    return promises;
+                },
+                // settleResults: Waits for the chunks of a run according to its error policy and wraps worker failures in a `TurbitError` naming the chunk.
+                settleResults: async function (promises, settings) {
+                    const { type, functionName, errorPolicy } = settings;
+                    const wrap = (error, chunk) => {
+                        if (error instanceof TimeoutError || error instanceof AbortError) {
+                            error.type = type;
+                            error.functionName = functionName;
+                            return error;
+                        }
+                        return new TurbitError(`Chunk ${chunk} of '${type}' execution with function ${functionName} failed: ${error.message}`, { type, functionName, chunk, cause: error });
+                    };
+
+                    if (errorPolicy === "failFast") {
+                        const values = await Promise.all(promises.map((promise, chunk) => promise.catch(error => {
+                            throw wrap(error, chunk);
+                        })));
+                        return { values, errors: [] };
+                    }
+
+                    const outcomes = await Promise.allSettled(promises);
+                    const values = [];
+                    const errors = [];
+                    // `results` keeps one entry per chunk, in chunk order, so partial results can still be matched to their input.
+                    const results = outcomes.map((outcome, chunk) => {
+                        if (outcome.status === "fulfilled") {
+                            values.push(outcome.value);
+                            return { chunk, status: "fulfilled", value: outcome.value };
+                        }
+                        const error = wrap(outcome.reason, chunk);
+                        errors.push(error);
+                        return { chunk, status: "rejected", error };
+                    });
+
+                    const cancellation = errors.find(error => error instanceof AbortError || (error instanceof TimeoutError && error.chunk === undefined));
+                    if (cancellation) {
+                        throw cancellation;
+                    }
+                    if (errors.length > 0 && errorPolicy === "collect") {
+                        throw new TurbitError(`${errors.length} of ${promises.length} chunks of '${type}' execution with function ${functionName} failed; first failure in chunk ${errors[0].chunk}: ${(errors[0].cause || errors[0]).message}`, { type, functionName, chunk: errors[0].chunk, cause: errors[0].cause, errors });
+                    }
+                    return { values, errors, results };
+                },
+                // targetWorkers: Number of child processes an "auto" power run should use: the cores left once the load of other work (the load average minus the run's own busy processes) is taken out, within the run's bounds.
+                targetWorkers: function (auto, running) {
+                    const otherLoad = Math.max(helper.getCurrentCpuLoad() - running, 0);
+                    const available = Math.floor(MAX_PROCESSES * auto.maxLoad - otherLoad);
+                    return Math.min(Math.max(available, auto.minWorkers), auto.maxWorkers);
+                },
+                // watchPower: Re-samples the system every `interval` during an "auto" power run. The worker count moves one step at a time towards the target, so a load spike does not make it swing, and dispatch pauses while memory is short.
+                watchPower: function (entries, promises, settings) {
+                    const auto = settings.autoPower;
+                    if (!auto) {
+                        return;
+                    }
+                    const timer = setInterval(() => {
+                        const pending = entries.filter(entry => !entry.settled);
+                        const running = pending.filter(entry => entry.worker && entry.worker.pendingTasks.has(entry.id)).length;
+                        const target = core.targetWorkers(auto, running);
+                        auto.workers += Math.sign(target - auto.workers);
+                        auto.peak = Math.max(auto.peak, auto.workers);
+                        auto.paused = 100 - helper.getCurrentMemoryUsage() < auto.minFreeMemory;
+                        pending.forEach(entry => {
+                            entry.numProcesses = auto.workers;
+                            entry.paused = auto.paused;
+                        });
+                        if (auto.workers > CHILD_PROCESSES.length && !CLOSING) {
+                            core.resizePool(auto.workers);
+                        }
+                        core.dispatchTasks();
+                    }, auto.interval);
+                    Promise.allSettled(promises).then(() => clearInterval(timer));
+                },
                 calculateNumProcesses: function (power) {
                     const percentage = Math.max(power, 0) / 100;
                     return Math.max(Math.round(MAX_PROCESSES * percentage), 1);
@@ -91,6 +1472,95 @@ if (typeof process === "undefined" || !process.versions || !process.versions.nod
              * helper: Provides utility functions for system metrics, data formatting, and execution statistics.
              */
             const helper = {
+                // describeTask: Turns the `func` given to `run` into what is sent to the workers: the source of a function, or the resolved path and export name of a module task.
+                describeTask: function (func, settings) {
+                    if (typeof func === "function") {
+                        const name = func.name || "anonymous";
+                        const source = func.toString();
+                        return { name, func: source, hash: crypto.createHash("sha1").update(`${name}\n${source}`).digest("hex") };
+                    }
+                    let modulePath;
+                    try {
+                        modulePath = path.isAbsolute(func.module) ? func.module : require.resolve(func.module, { paths: [process.cwd()] });
+                    } catch (error) {
+                        throw new TurbitError(`Task module '${func.module}' could not be resolved: ${error.message}`, { type: settings.type, functionName: settings.functionName, cause: error });
+                    }
+                    return { name: func.export || path.basename(modulePath), module: modulePath, export: func.export };
+                },
+                isTask: function (func) {
+                    return typeof func === "function" || Boolean(func && typeof func === "object" && typeof func.module === "string" && (func.export === undefined || typeof func.export === "string"));
+                },
+                // mergeResults: Joins the results of every chunk in order; chunks that all return the same kind of TypedArray are concatenated into one.
+                mergeResults: function (values) {
+                    const View = values.length > 0 && transfer.isView(values[0]) ? values[0].constructor : null;
+                    if (!View || !values.every(value => value instanceof View)) {
+                        return values.flat();
+                    }
+                    const merged = new View(values.reduce((length, value) => length + value.length, 0));
+                    let offset = 0;
+                    values.forEach(value => {
+                        merged.set(value, offset);
+                        offset += value.length;
+                    });
+                    return merged;
+                },
+                // createChunks: Cuts `data` into contiguous `{ start, end }` ranges following the `chunking` option, either by item count or, with a `cost` function, by estimated work.
+                createChunks: function (data, numProcesses, settings) {
+                    const { chunkSize, chunksPerWorker = CHUNKS_PER_PROCESS, cost } = settings.chunking;
+                    const numChunks = Math.min(numProcesses * chunksPerWorker, data.length);
+                    const chunks = [];
+
+                    if (cost) {
+                        const costs = Array.from(data, (item, index) => {
+                            const value = cost(item, index);
+                            if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+                                throw new TurbitError(`Chunking 'cost' must return a non-negative number, got '${value}' for item ${index}.`, { type: settings.type, functionName: settings.functionName });
+                            }
+                            return value;
+                        });
+                        let remainingCost = costs.reduce((sum, value) => sum + value, 0);
+                        if (remainingCost > 0) {
+                            // Each chunk closes once it reaches an even share of the cost still left, so one very expensive item does not leave the rest in a single chunk.
+                            let remainingChunks = numChunks;
+                            let start = 0;
+                            let accumulated = 0;
+                            costs.forEach((value, index) => {
+                                accumulated += value;
+                                if (accumulated >= remainingCost / remainingChunks || index === data.length - 1) {
+                                    chunks.push({ start, end: index + 1 });
+                                    remainingCost -= accumulated;
+                                    remainingChunks = Math.max(remainingChunks - 1, 1);
+                                    accumulated = 0;
+                                    start = index + 1;
+                                }
+                            });
+                            return chunks;
+                        }
+                    }
+
+                    const size = chunkSize || Math.ceil(data.length / numChunks);
+                    for (let i = 0; i < data.length; i += size) {
+                        chunks.push({ start: i, end: Math.min(i + size, data.length) });
+                    }
+                    return chunks;
+                },
+                // deserializeError: Rebuilds an error serialized by a child process, restoring its built-in class, name, stack, fields and cause chain.
+                deserializeError: function (serialized) {
+                    const ErrorClass = BUILTIN_ERRORS[serialized.className] || Error;
+                    const error = new ErrorClass(serialized.message);
+                    if (error.name !== serialized.name) {
+                        Object.defineProperty(error, "name", { value: serialized.name, writable: true, configurable: true, enumerable: false });
+                    }
+                    if (serialized.stack) {
+                        error.stack = serialized.stack;
+                    }
+                    Object.assign(error, serialized.properties);
+                    if (serialized.cause) {
+                        const cause = "value" in serialized.cause ? serialized.cause.value : this.deserializeError(serialized.cause);
+                        Object.defineProperty(error, "cause", { value: cause, writable: true, configurable: true, enumerable: false });
+                    }
+                    return error;
+                },
                 getCurrentCpuLoad: function () {
                     return os.loadavg()[0];
                 },
@@ -114,17 +1584,91 @@ if (typeof process === "undefined" || !process.versions || !process.versions.nod
 
                     return `${calculateBytes} ${units[index]}`;
                 },
-                // showStats: You can see performance statistics and the result of consumed resources.
-                showStats: function (startTime, numProcesses, dataLength, initialMemory) {
-                    const endTime = Date.now();
-                    const duration = (endTime - startTime) / 1000;
-                    const totalRAMAfter = os.freemem();
-                    const memoryUsed = initialMemory - totalRAMAfter;
+                // writeTrace: Writes the spans recorded on the chunks of a run as Chrome trace events: complete events on one thread per worker, and async events on the queue track since waiting chunks overlap. Timestamps are in microseconds.
+                writeTrace: async function (file, settings) {
+                    const events = [
+                        { name: "process_name", ph: "M", pid: 1, tid: 0, args: { name: `turbit ${settings.type} run: ${settings.functionName}` } },
+                        { name: "thread_name", ph: "M", pid: 1, tid: 0, args: { name: "queue" } }
+                    ];
+                    const workers = new Set();
+                    settings.entries.forEach(entry => entry.spans.forEach((span, index) => {
+                        const ts = span.start * 1000;
+                        if (span.tid === 0) {
+                            const id = `${entry.id}.${index}`;
+                            events.push({ name: span.name, cat: "queue", ph: "b", id, pid: 1, tid: 0, ts, args: span.args });
+                            events.push({ name: span.name, cat: "queue", ph: "e", id, pid: 1, tid: 0, ts: span.end * 1000 });
+                            return;
+                        }
+                        workers.add(span.tid);
+                        events.push({ name: span.name, cat: "worker", ph: "X", pid: 1, tid: span.tid, ts, dur: Math.max(span.end - span.start, 0) * 1000, args: span.args });
+                    }));
+                    workers.forEach(tid => events.push({ name: "thread_name", ph: "M", pid: 1, tid, args: { name: `worker ${tid}` } }));
+                    await fs.promises.writeFile(file, JSON.stringify({ traceEvents: events, displayTimeUnit: "ms" }));
+                },
+                // measureMessage: Size in bytes of a message as it travels over IPC, serialized the way the backend does it. Only used with `measureBytes`, since it serializes the message a second time.
+                measureMessage: function (message) {
+                    if (BACKEND === "threads") {
+                        return ThreadMessageSizer.measure(message);
+                    }
+                    return STRUCTURED ? v8.serialize(message).length : Buffer.byteLength(JSON.stringify(message));
+                },
+                // describeChunk: Turns the timings recorded on a task into its stats, in milliseconds. IPC time is the round trip minus the compute time reported by the worker, so it covers serialization and transport both ways.
+                describeChunk: function (entry) {
+                    const elapsed = (from, to) => from !== null && to !== null ? Number(to - from) / 1e6 : null;
+                    const usage = entry.usage || {};
+                    const roundTrip = elapsed(entry.sentAt, entry.receivedAt);
+                    return {
+                        chunk: entry.chunk,
+                        pid: entry.pid,
+                        attempts: entry.attempts + 1,
+                        queueWaitMs: elapsed(entry.createdAt, entry.sentAt),
+                        ipcMs: roundTrip !== null && usage.compute !== undefined ? Math.max(roundTrip - usage.compute, 0) : null,
+                        computeMs: usage.compute !== undefined ? usage.compute : null,
+                        cpuUserMs: usage.cpuUser !== undefined ? usage.cpuUser : null,
+                        cpuSystemMs: usage.cpuSystem !== undefined ? usage.cpuSystem : null,
+                        rss: usage.rss !== undefined ? usage.rss : null,
+                        bytesSent: entry.measureBytes ? entry.bytesSent : null,
+                        bytesReceived: entry.measureBytes ? entry.bytesReceived : null
+                    };
+                },
+                // showStats: Performance statistics of a run: wall-clock time from `process.hrtime`, throughput, CPU time and peak RSS of the child processes, and a breakdown per chunk and per child process.
+                showStats: function (startTime, numProcesses, dataLength, settings) {
+                    const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+                    const chunks = (settings.entries || []).map(entry => this.describeChunk(entry));
+                    const sum = (list, key) => list.some(item => item[key] !== null) ? list.reduce((total, item) => total + (item[key] || 0), 0) : null;
+                    const workers = new Map();
+                    chunks.filter(chunk => chunk.pid !== null).forEach(chunk => {
+                        if (!workers.has(chunk.pid)) {
+                            workers.set(chunk.pid, []);
+                        }
+                        workers.get(chunk.pid).push(chunk);
+                    });
+                    const peakRss = Math.max(0, ...chunks.map(chunk => chunk.rss || 0));
                     return {
-                        timeTakenSeconds: duration,
+                        timeTakenSeconds: durationMs / 1000,
+                        durationMs,
                         numProcessesUsed: numProcesses,
                         dataProcessed: dataLength,
-                        memoryUsed: this.calculateBytes(memoryUsed)
+                        itemsPerSecond: durationMs > 0 ? dataLength / (durationMs / 1000) : null,
+                        cpuUserMs: sum(chunks, "cpuUserMs"),
+                        cpuSystemMs: sum(chunks, "cpuSystemMs"),
+                        peakRss,
+                        memoryUsed: this.calculateBytes(peakRss),
+                        bytesSent: sum(chunks, "bytesSent"),
+                        bytesReceived: sum(chunks, "bytesReceived"),
+                        workers: Array.from(workers, ([pid, list]) => ({
+                            pid,
+                            chunks: list.length,
+                            queueWaitMs: sum(list, "queueWaitMs"),
+                            ipcMs: sum(list, "ipcMs"),
+                            computeMs: sum(list, "computeMs"),
+                            cpuUserMs: sum(list, "cpuUserMs"),
+                            cpuSystemMs: sum(list, "cpuSystemMs"),
+                            peakRss: Math.max(0, ...list.map(chunk => chunk.rss || 0)),
+                            bytesSent: sum(list, "bytesSent"),
+                            bytesReceived: sum(list, "bytesReceived")
+                        })),
+                        chunks
                     };
                 }
             };
@@ -133,50 +1677,73 @@ if (typeof process === "undefined" || !process.versions || !process.versions.nod
              */
             const types = {
                 // simpleType: Executes a task using a simple execution strategy, without parallel processing.
-                simpleType: async function (func, numProcesses) {
-                    const initialMemory = os.freemem();
-                    const startTime = Date.now();
+                simpleType: async function (numProcesses, settings) {
+                    const startTime = process.hrtime.bigint();
 
                     const tasks = Array(numProcesses).fill({
-                        func,
                         args: []
                     });
 
-                    const promises = core.createWorkerPromises(tasks, numProcesses);
-                    const output = await Promise.all(promises);
+                    const promises = core.createWorkerPromises(tasks, numProcesses, settings);
+                    const { values: output, errors, results } = await core.settleResults(promises, settings);
                     return {
                         data: output,
-                        stats: helper.showStats(startTime, numProcesses, output.length, initialMemory)
+                        ...(settings.errorPolicy === "allSettled" && { errors, results }),
+                        stats: helper.showStats(startTime, settings.autoPower ? settings.autoPower.peak : numProcesses, output.length, settings)
                     };
                 },
                 // extendedType: Executes tasks using an extended execution strategy, with parallel processing across multiple CPU cores.
-                extendedType: async function (func, data, numProcesses, args) {
-                    const initialMemory = os.freemem();
-                    const startTime = Date.now();
-
-                    const chunkSize = Math.ceil(data.length / numProcesses);
-                    const dataChunks = [];
-                    for (let i = 0; i < data.length; i += chunkSize) {
-                        dataChunks.push(data.slice(i, i + chunkSize));
-                    }
-                    
-                    const tasks = dataChunks.map(chunk => ({
-                        func,
-                        args: Object.keys(args).length ? { data: chunk, args } : [chunk]
-                    }));
+                extendedType: async function (data, numProcesses, args, settings) {
+                    const startTime = process.hrtime.bigint();
+
+                    // TypedArray chunks are views (`subarray`) rather than copies; on the threads backend they are backed by a SharedArrayBuffer so every worker reads the same memory.
+                    // A plain `output` is shared the same way and copied back into the caller's buffer once, when the run is over.
+                    const typed = transfer.isView(data);
+                    if (typed && BACKEND === "threads" && !(data.buffer instanceof SharedArrayBuffer)) {
+                        data = transfer.shareView(data);
+                    }
+                    let output = settings.output;
+                    if (output && BACKEND === "threads" && !(output.buffer instanceof SharedArrayBuffer)) {
+                        output = transfer.shareView(output);
+                    }
 
-                    const promises = core.createWorkerPromises(tasks, numProcesses);
-                    const output = await Promise.all(promises);
+                    // Data is cut into several chunks per child process; idle children pull the next chunk, so a slow chunk does not hold back the others.
+                    // An "auto" power run is chunked for its upper bound, so there is work to spread when it scales up.
+                    const dataChunks = helper.createChunks(data, settings.autoPower ? settings.autoPower.maxWorkers : numProcesses, settings);
+
+                    const tasks = dataChunks.map(({ start, end }) => {
+                        const chunk = typed ? data.subarray(start, end) : data.slice(start, end);
+                        return {
+                            args: Object.keys(args).length ? { data: chunk, args } : [chunk],
+                            output: output && output.subarray(start, end)
+                        };
+                    });
+
+                    const promises = core.createWorkerPromises(tasks, numProcesses, settings);
+                    let settled;
+                    try {
+                        settled = await core.settleResults(promises, settings);
+                    } finally {
+                        if (output !== settings.output) {
+                            settings.output.set(output);
+                        }
+                    }
+                    const { values, errors, results } = settled;
                     return {
-                        data: output.flat(),
-                        stats: helper.showStats(startTime, numProcesses, data.length, initialMemory)
+                        data: settings.output || helper.mergeResults(values),
+                        ...(settings.errorPolicy === "allSettled" && { errors, results: results.map(result => ({ ...result, ...dataChunks[result.chunk] })) }),
+                        stats: helper.showStats(startTime, settings.autoPower ? settings.autoPower.peak : numProcesses, data.length, settings)
                     };
                 }
             };
             /**
-             * Initializes child processes up to the maximum available CPU cores. This step is essential for setting up the parallel processing environment before any tasks are submitted for execution. Invoking this method at the start ensures that the system is ready to distribute tasks across multiple processes, optimizing performance and resource utilization from the outset.
+             * Initializes the pool. A lazy pool only starts `minWorkers` child processes here and forks the rest on the first `run`, so creating a Turbit instance costs nothing until it is used. With `lazy: false` child processes are started up to the maximum available CPU cores (bounded by `maxWorkers`), ready for the first tasks.
              */
-            core.startProcesses();
+            core.startProcesses(lazy ? MIN_WORKERS : Math.max(MIN_WORKERS, Math.min(MAX_PROCESSES, MAX_WORKERS)));
+
+            if (CLOSE_ON_EXIT) {
+                core.installExitHooks();
+            }
 
             return {
                 /**
@@ -187,13 +1754,46 @@ if (typeof process === "undefined" || !process.versions || !process.versions.nod
                   * const Turbit = require('turbit'); // Adjust the path as needed if `turbit` is located in a different directory
                   * const turbit = Turbit(); // Initialize Turbit to use its methods
                   *
-                  * @param {Function} func - The function to be executed. This function should be capable of operating on the provided data, if applicable.
+                  * @param {Function|Object} func - The function to be executed. This function should be capable of operating on the provided data, if applicable. It may be `async` or return a Promise; the settled value is used as its result and a rejection fails the task.
+                  *   A function is sent to the workers as source code, so it cannot use closures or `require`. For that, pass a module task instead: `{ module, export }`, where `module` is a path or specifier resolved from the current working directory (`require.resolve("./tasks")` works well) and `export` names the exported function (defaults to `module.exports` itself, or its `default`). Each worker loads the module once and reuses it for later tasks.
                   * @param {Object} options - The options for execution.
                   * @param {string} [options.type="simple"] - The type of execution: "simple" for execution with a default level of parallel processing, or "extended" for customized parallel processing across multiple CPU cores.
-                  * @param {Array} [options.data=[]] - The data to be processed. Required for the "extended" type execution to distribute data across processes.
+                  * @param {Array|TypedArray|SharedArrayBuffer} [options.data=[]] - The data to be processed. Required for the "extended" type execution to distribute data across processes. TypedArray chunks are views rather than copies: with the "threads" backend every worker reads the same shared memory, with "fork" each chunk is sent as raw bytes instead of JSON. A SharedArrayBuffer is processed as a Uint8Array.
                   * @param {Array} [options.args={}] - The arguments to be passed to the function. Optional for the "extended" type execution to provide extra arguments to the function.
-                  * @param {number} [options.power=50] - The processing power to use, as a percentage of total available CPU cores. Determines the number of child processes spawned for both "simple" and "extended" type execution.
-                  * @returns {Promise<Object>} - The result of the execution, including any data processed and statistics about the execution, such as time taken and memory used.
+                  * @param {number|string} [options.power=50] - The processing power to use, as a percentage of total available CPU cores. Determines the number of child processes spawned for both "simple" and "extended" type execution.
+                  *   With "auto" the run uses the cores left over by the rest of the machine: the load average and free memory are sampled while it is in progress, the number of child processes taking its chunks is scaled within `autoPower.minWorkers` and `autoPower.maxWorkers`, and dispatch pauses while free memory is below `autoPower.minFreeMemory`.
+                  * @param {Object} [options.autoPower] - Bounds and thresholds of `power: "auto"`.
+                  * @param {number} [options.autoPower.minWorkers=1] - Fewest child processes the run keeps using, however busy the machine is.
+                  * @param {number} [options.autoPower.maxWorkers] - Most child processes the run may use. Defaults to the number of CPU cores, bounded by `maxWorkers`. "extended" runs are chunked for this many processes.
+                  * @param {number} [options.autoPower.maxLoad=1] - Target load average per CPU core, including this run's own child processes.
+                  * @param {number} [options.autoPower.minFreeMemory=10] - Percentage of free system memory below which no new chunks are dispatched.
+                  * @param {number} [options.autoPower.interval=1000] - Milliseconds between samples.
+                  * @param {Object} [options.chunking] - How `data` is cut into chunks in "extended" execution. Chunks are handed to whichever child process is idle and results are returned in input order. Defaults to four chunks of equal length per process.
+                  * @param {number} [options.chunking.chunkSize] - Fixed number of items per chunk.
+                  * @param {number} [options.chunking.chunksPerWorker=4] - Number of chunks to create per child process.
+                  * @param {Function} [options.chunking.cost] - `cost(item, index)` returns the estimated work of an item as a non-negative number. Chunks are then balanced by total cost instead of item count, `chunksPerWorker` of them per child process.
+                  * @param {TypedArray} [options.output] - Shared output buffer for "extended" execution, with the same length as `data`. Each task receives the region matching its chunk as an extra argument (or as `output` next to `data` when `args` is given) and writes its results in place; the run then resolves with `output` as its `data`. "threads" workers write into shared memory directly (a plain `output` is copied to a SharedArrayBuffer for the run and back once it ends); forked workers send their region back when each chunk finishes.
+                  * @param {number} [options.workers] - Exact number of child processes to use, as an alternative to `power`. Bounded by `maxWorkers`.
+                  * @param {Function|Object} [options.setup] - Function or `{ module, export }` task that each worker runs once, the first time it gets a task of a run with this `setup`. The state it returns (or resolves to) is passed to every later task on that worker as a `context` argument: after the other arguments, or as `context` next to `data` when `args` is given.
+                  * @param {Function|Object} [options.teardown] - Function or `{ module, export }` task called with the `context` of `setup` when the worker is retired or the pool is closed. It is skipped by `kill`.
+                  * @param {Object} [options.shared] - Read-only values to broadcast to the workers by name, as with `share`. A value that is already shared (the same object) is not sent again.
+                  * @param {number} [options.retries] - How many times a task is retried on a fresh child process when the one running it crashes. Defaults to the `retries` given to `Turbit()`.
+                  * @param {number} [options.timeout] - Maximum time in milliseconds for the whole run. Unfinished chunks are cancelled, their child processes are replaced and the run rejects with a `TimeoutError`.
+                  * @param {number} [options.taskTimeout] - Maximum time in milliseconds for a single chunk, measured from the moment it is sent to a child process. Rejects with a `TimeoutError` naming that chunk.
+                  * @param {AbortSignal} [options.signal] - Cancels the run when aborted. Unfinished chunks are cancelled, their child processes are replaced and the run rejects with an `AbortError`.
+                  * @param {string} [options.errorPolicy="failFast"] - What happens when a chunk fails:
+                  *   - "failFast": reject with the first failure and drop the chunks still queued in the child processes.
+                  *   - "collect": let every chunk finish, then reject with a `TurbitError` whose `errors` lists every failed chunk.
+                  *   - "allSettled": let every chunk finish and resolve with the results of the successful chunks plus an `errors` array for the failed ones. Since `data` then skips the failed chunks, `results` lists every chunk in order as `{ chunk, status, value }` or `{ chunk, status, error }`, where `status` is "fulfilled" or "rejected"; in "extended" execution each entry also has the `start` and `end` of its items in `data`.
+                  * @param {string} [options.trace] - Path of a Chrome trace-event file to write once the run has finished (or failed), for chrome://tracing or https://ui.perfetto.dev. Each worker gets a track with the spans of its chunks: "serialize" (encoding and sending the task), "dispatch" (until the task function starts in the worker), "compute" and "collect" (returning and decoding the result); a "queue" track shows how long each chunk waited for an idle worker.
+                  * @param {boolean} [options.measureBytes=false] - Count the bytes sent to and received from the child processes in `stats`. This serializes every message a second time, so it is off by default. On the "threads" backend a TypedArray counts as what `postMessage` copies: nothing for a view on a SharedArrayBuffer, its whole buffer otherwise.
+                  * @returns {Promise<Object>} - The result of the execution, including any data processed and statistics about the execution in `stats`:
+                  *   - `durationMs` (and `timeTakenSeconds`), measured with `process.hrtime`, and `itemsPerSecond`.
+                  *   - `cpuUserMs` and `cpuSystemMs`: CPU time the child processes spent on the run's chunks, from `process.cpuUsage`. Worker threads share the counters of their process, so with "threads" chunks running at the same time are counted together.
+                  *   - `peakRss` in bytes (and `memoryUsed`, formatted): the peak RSS reached by a child process, as reported by the operating system after each chunk; it covers the child's whole life, including earlier runs.
+                  *   - `bytesSent` and `bytesReceived` with `measureBytes`, otherwise null.
+                  *   - `workers`: the same figures per child process, by `pid`, with their total `queueWaitMs`, `ipcMs` and `computeMs`.
+                  *   - `chunks`: per chunk, its `pid`, `attempts`, `queueWaitMs` (queued until sent), `computeMs` (in the task function), `ipcMs` (the rest of the round trip: serialization and transport), CPU time, `rss` and bytes.
                   *
                   * - For "simple" type:
                   *   - Executes the function across multiple processes, using a default level of parallel processing determined by the `power` option.
@@ -201,7 +1801,7 @@ if (typeof process === "undefined" || !process.versions || !process.versions.nod
                   *
                   * - For "extended" type:
                   *   - Distributes the provided `data` across multiple processes for parallel processing, with the degree of parallelism customized through the `power` option.
-                  *   - The `data` option must be an array of items, which will be processed in chunks across the spawned processes.
+                  *   - The `data` option must be an array of items, which will be processed in batches handed to whichever spawned process is idle.
                   *
                   * 
                   * @example
@@ -231,63 +1831,262 @@ if (typeof process === "undefined" || !process.versions || !process.versions.nod
                   *   .then(result => console.log("Extended execution results:", result.data))
                   *   .catch(error => console.error("Error in extended execution:", error));
                   *
-                  * @throws {Error} If the `func` is not a function or if required parameters for the chosen execution type are not provided or are invalid.
+                  * @throws {TimeoutError} If the run or one of its chunks exceeds `timeout` or `taskTimeout`.
+                  * @throws {AbortError} If `signal` is aborted before the run finishes.
+                  * @throws {TurbitError} If a chunk fails (see `errorPolicy`), if the `func` is not a function or if required parameters for the chosen execution type are not provided or are invalid. `type`, `functionName`, `chunk` and `cause` describe the failure.
                   */
                 run: async (func, options = {}) => {
-                    let { data = [], args = {}, type = "simple", power = 70 } = options;
-                    let numProcesses = core.calculateNumProcesses(power);
-
-                    if (numProcesses > CHILD_PROCESSES.length) {
-                        core.killProcesses();
-                        core.startProcesses(numProcesses);
+                    let { data = [], args = {}, type = "simple", power = 70, autoPower = {}, measureBytes = false, trace, retries = DEFAULT_RETRIES, timeout, taskTimeout, signal, errorPolicy = "failFast", chunking = {}, output, workers, setup, teardown, shared } = options;
+                    const functionName = (typeof func === "function" ? func.name : func && (func.export || (typeof func.module === "string" && path.basename(func.module)))) || "anonymous";
+                    const settings = { type, functionName, errorPolicy, retries, timeout, taskTimeout, signal, chunking, output, measureBytes, trace, runId: ++RUN_ID };
+                    if (CLOSING) {
+                        throw new TurbitError("Turbit instance is closed and no longer accepts new runs.", { type, functionName });
+                    }
+                    if (data instanceof SharedArrayBuffer) {
+                        data = new Uint8Array(data);
                     }
 
+                    // Each handler checks the options of its execution type and returns the function that executes the run, so nothing is forked for a run that is rejected.
                     const handlers = {
-                        "simple": async () => {
+                        "simple": () => {
                             if (data.length > 0) {
-                                throw new Error("Simple execution type should not include 'data'. Please ensure 'data' is empty or not provided for simple tasks.");
-                            }
-                            if (typeof func !== "function") {
-                                throw new Error("For 'simple' execution type, 'func' must be a valid function. Please check that 'func' is defined correctly as a function.");
+                                throw new TurbitError("Simple execution type should not include 'data'. Please ensure 'data' is empty or not provided for simple tasks.", { type, functionName });
                             }
-                            try {
-                                return await types.simpleType(func, numProcesses);
-                            } catch (e) {
-                                throw new Error(`Error executing 'simple' type with function ${func.name || 'anonymous'}: ${e.message}`);
+                            if (!helper.isTask(func)) {
+                                throw new TurbitError("For 'simple' execution type, 'func' must be a valid function or a '{ module, export }' task. Please check that 'func' is defined correctly.", { type, functionName });
                             }
+                            settings.task = helper.describeTask(func, settings);
+                            return () => types.simpleType(numProcesses, settings);
                         },
-                        "extended": async () => {
+                        "extended": () => {
                             if (data.length === 0) {
-                                throw new Error("Extended execution type requires a non-empty 'data' array. Ensure 'data' is provided and contains elements.");
+                                throw new TurbitError("Extended execution type requires a non-empty 'data' array. Ensure 'data' is provided and contains elements.", { type, functionName });
                             }
-                            if (typeof func !== "function") {
-                                throw new Error("For 'extended' execution type, 'func' must be a valid function. Verify that 'func' is correctly defined as a function.");
+                            if (!helper.isTask(func)) {
+                                throw new TurbitError("For 'extended' execution type, 'func' must be a valid function or a '{ module, export }' task. Verify that 'func' is correctly defined.", { type, functionName });
                             }
-                            try {
-                                return await types.extendedType(func, data, numProcesses, args);
-                            } catch (e) {
-                                throw new Error(`Error executing 'extended' type with function ${func.name || 'anonymous'}: ${e.message}`);
+                            const { chunkSize, chunksPerWorker, cost } = chunking;
+                            ["chunkSize", "chunksPerWorker"].forEach(key => {
+                                if (chunking[key] !== undefined && !(Number.isInteger(chunking[key]) && chunking[key] > 0)) {
+                                    throw new TurbitError(`Invalid chunking specified: '${key}' must be a positive integer, got '${chunking[key]}'.`, { type, functionName });
+                                }
+                            });
+                            if (output !== undefined && !(transfer.isView(output) && output.length === data.length)) {
+                                throw new TurbitError("Invalid output specified: 'output' must be a TypedArray with the same length as 'data'.", { type, functionName });
+                            }
+                            if (cost !== undefined && typeof cost !== "function") {
+                                throw new TurbitError("Invalid chunking specified: 'cost' must be a function returning the estimated work of an item.", { type, functionName });
                             }
+                            if (chunkSize !== undefined && (chunksPerWorker !== undefined || cost !== undefined)) {
+                                throw new TurbitError("Invalid chunking specified: 'chunkSize' cannot be combined with 'chunksPerWorker' or 'cost'.", { type, functionName });
+                            }
+                            settings.task = helper.describeTask(func, settings);
+                            return () => types.extendedType(data, numProcesses, args, settings);
                         }
                     };
 
                     if (!handlers[type]) {
-                        throw new Error(`Invalid execution type specified: '${type}'. Valid types are 'simple' and 'extended'.`);
+                        throw new TurbitError(`Invalid execution type specified: '${type}'. Valid types are 'simple' and 'extended'.`, { type, functionName });
+                    }
+                    if (!ERROR_POLICIES.includes(errorPolicy)) {
+                        throw new TurbitError(`Invalid error policy specified: '${errorPolicy}'. Valid policies are ${ERROR_POLICIES.map(policy => `'${policy}'`).join(", ")}.`, { type, functionName });
+                    }
+
+                    if (shared !== undefined) {
+                        if (!shared || typeof shared !== "object" || Array.isArray(shared)) {
+                            throw new TurbitError("Invalid shared values specified: 'shared' must be an object mapping names to values.", { type, functionName });
+                        }
+                        // Passing the same value again keeps its version, so workers that already have it are not sent it again.
+                        Object.keys(shared).forEach(name => {
+                            if (!SHARED.has(name) || SHARED.get(name).value !== shared[name]) {
+                                core.shareValue(name, shared[name]);
+                            }
+                        });
                     }
 
+                    const hooks = { setup, teardown };
+                    Object.keys(hooks).forEach(hook => {
+                        if (hooks[hook] === undefined) {
+                            return;
+                        }
+                        if (!helper.isTask(hooks[hook])) {
+                            throw new TurbitError(`Invalid ${hook} specified: '${hook}' must be a function or a '{ module, export }' task.`, { type, functionName });
+                        }
+                        settings[hook] = helper.describeTask(hooks[hook], settings);
+                    });
+                    if (teardown !== undefined && setup === undefined) {
+                        throw new TurbitError("Invalid teardown specified: 'teardown' requires a 'setup'.", { type, functionName });
+                    }
+
+                    if (workers !== undefined && !(Number.isInteger(workers) && workers > 0)) {
+                        throw new TurbitError(`Invalid worker count specified: '${workers}'. 'workers' must be a positive integer.`, { type, functionName });
+                    }
+                    if (trace !== undefined && (typeof trace !== "string" || trace.length === 0)) {
+                        throw new TurbitError("Invalid trace specified: 'trace' must be the path of the file to write.", { type, functionName });
+                    }
+                    Object.entries({ timeout, taskTimeout }).forEach(([name, value]) => {
+                        if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+                            throw new TurbitError(`Invalid ${name} specified: '${value}'. '${name}' must be a positive number of milliseconds.`, { type, functionName });
+                        }
+                    });
+                    if (signal !== undefined && !(signal instanceof AbortSignal)) {
+                        throw new TurbitError("Invalid signal specified: 'signal' must be an AbortSignal.", { type, functionName });
+                    }
+
+                    if (power === "auto" && !workers) {
+                        const { minWorkers = 1, maxWorkers = Math.min(MAX_PROCESSES, MAX_WORKERS), maxLoad = 1, minFreeMemory = 10, interval = 1000 } = autoPower;
+                        if (!(Number.isInteger(minWorkers) && Number.isInteger(maxWorkers) && minWorkers >= 1 && minWorkers <= maxWorkers && maxWorkers <= MAX_WORKERS)) {
+                            throw new TurbitError(`Invalid auto power bounds specified: 'minWorkers' (${minWorkers}) and 'maxWorkers' (${maxWorkers}) must be integers with 1 <= minWorkers <= maxWorkers <= ${MAX_WORKERS}.`, { type, functionName });
+                        }
+                        if (!(maxLoad > 0 && minFreeMemory >= 0 && minFreeMemory < 100 && interval > 0)) {
+                            throw new TurbitError("Invalid auto power specified: 'maxLoad' and 'interval' must be positive and 'minFreeMemory' a percentage below 100.", { type, functionName });
+                        }
+                        settings.autoPower = { minWorkers, maxWorkers, maxLoad, minFreeMemory, interval };
+                        settings.autoPower.workers = core.targetWorkers(settings.autoPower, 0);
+                        settings.autoPower.peak = settings.autoPower.workers;
+                        settings.autoPower.paused = 100 - helper.getCurrentMemoryUsage() < minFreeMemory;
+                    } else if (power !== "auto" && !(typeof power === "number" && Number.isFinite(power))) {
+                        throw new TurbitError(`Invalid power specified: '${power}'. 'power' must be a percentage of the CPU cores or "auto".`, { type, functionName });
+                    }
+
+                    const execute = handlers[type]();
+
+                    let numProcesses = settings.autoPower ? settings.autoPower.workers : Math.min(workers || core.calculateNumProcesses(power), MAX_WORKERS);
+
+                    // Only the missing child processes are forked; warm ones, and those busy with other runs, are kept.
+                    if (numProcesses > CHILD_PROCESSES.length) {
+                        core.resizePool(numProcesses);
+                    }
+
+                    const runStart = process.hrtime.bigint();
+                    const recordRun = (status) => {
+                        METRICS.inc("turbit_runs_total", { type, status });
+                        METRICS.observe("turbit_run_duration_seconds", Number(process.hrtime.bigint() - runStart) / 1e9, { type });
+                    };
+                    let result;
                     try {
-                        return await handlers[type]();
+                        result = await execute();
                     } catch (error) {
-                        console.error("Error during Turbit execution:", error.message);
+                        recordRun("failed");
+                        // A failed run is still traced, since the timeline often shows why it failed; the run's error takes precedence over one from writing the trace.
+                        if (trace && settings.entries) {
+                            await helper.writeTrace(trace, settings).catch(() => {});
+                        }
+                        throw error;
+                    }
+                    recordRun("succeeded");
+                    if (trace) {
+                        await helper.writeTrace(trace, settings);
                     }
+                    return result;
                 },
                 /**
                  * kill: Terminates all active child processes to ensure a clean shutdown and free system resources. This method is crucial for preventing resource leaks and ensuring that the system remains stable and responsive after the completion of parallel tasks. It should be invoked when all parallel processing tasks are completed, or when the Turbit instance is no longer needed.
                  */
-                kill: core.killProcesses
+                kill: core.killProcesses,
+                /**
+                 * share: Broadcasts a read-only value to every worker under `name`. Each worker receives it once, with the first task it runs after this call, instead of once per chunk as with `args`. Tasks read it as `turbit.shared.<name>`. Sharing a name again sends the new version the same way.
+                 *
+                 * @example
+                 * turbit.share("rates", exchangeRates);
+                 * turbit.run(function (chunk) { return chunk.map(t => t.amount * turbit.shared.rates[t.currency]); }, { type: "extended", data });
+                 *
+                 * @param {string} name - The name tasks use to read the value.
+                 * @param {*} value - The value to share. It must survive the backend's messaging (JSON for "fork", structured clone for "threads"); a TypedArray is transferred as in `data`.
+                 * @returns {number} The version of the shared value.
+                 */
+                share: (name, value) => {
+                    if (typeof name !== "string" || name.length === 0) {
+                        throw new TurbitError(`Invalid shared value name specified: '${name}'. The name must be a non-empty string.`);
+                    }
+                    return core.shareValue(name, value);
+                },
+                /**
+                 * unshare: Removes a value broadcast with `share`; workers drop it before their next task.
+                 *
+                 * @param {string} name - The name of the shared value.
+                 * @returns {boolean} Whether a value was shared under `name`.
+                 */
+                unshare: (name) => SHARED.delete(name),
+                /**
+                 * metrics: Returns the current metrics of the pool and its runs: queue depth, workers and busy workers, active tasks, tasks by status, task and run duration histograms, task retries and worker respawns by reason.
+                 *
+                 * @example
+                 * const { turbit_queue_depth } = turbit.metrics();
+                 * fs.writeFileSync("turbit.prom", turbit.metrics("prometheus"));
+                 *
+                 * @param {string} [format="json"] - "json" for a snapshot object keyed by metric name, or "prometheus" for the Prometheus text exposition format.
+                 * @returns {Object|string} The metrics in the requested format.
+                 */
+                metrics: (format = "json") => {
+                    if (format !== "json" && format !== "prometheus") {
+                        throw new TurbitError(`Invalid metrics format specified: '${format}'. Valid formats are 'json', 'prometheus'.`);
+                    }
+                    return format === "prometheus" ? METRICS.toPrometheus() : METRICS.toJSON();
+                },
+                /**
+                 * serveMetrics: Starts a local HTTP listener so the metrics can be scraped: GET /metrics returns the Prometheus text format, GET /metrics.json the JSON snapshot. The listener does not keep the process alive and is closed by `close` and `kill`.
+                 *
+                 * @example
+                 * await turbit.serveMetrics({ port: 9464 });
+                 *
+                 * @param {Object} [options] - The listener options.
+                 * @param {number} [options.port=9464] - The port to listen on; `0` picks a free one.
+                 * @param {string} [options.host="127.0.0.1"] - The address to bind to.
+                 * @returns {Promise<http.Server>} Resolves with the listening server once it is bound.
+                 */
+                serveMetrics: ({ port = 9464, host = "127.0.0.1" } = {}) => core.serveMetrics(port, host),
+                /**
+                 * on: Adds a listener for pool events.
+                 * - "recycle": a child process was replaced after reaching `maxTasksPerWorker` or `maxRssMb`. The listener receives `{ pid, reason, tasks, memory, replacement }`, where `reason` is "tasks" or "memory", `memory` is the last measured usage in bytes and `replacement` is the pid of the new child (null if it could not be forked).
+                 * - "log": a line printed by a task with `stdio: "pipe"`. The listener receives `{ stream, line, workerId, runId, chunk }`, where `stream` is "stdout" or "stderr"; `runId` and `chunk` are undefined for output printed outside a task, such as by a `teardown`.
+                 *
+                 * @example
+                 * turbit.on("recycle", ({ pid, reason, memory }) => console.warn(`worker ${pid} recycled (${reason}, ${memory} bytes)`));
+                 *
+                 * @param {string} event - The event name.
+                 * @param {Function} listener - Called with the event details.
+                 */
+                on: (event, listener) => {
+                    EVENTS.on(event, listener);
+                },
+                // off: Removes a listener added with `on`.
+                off: (event, listener) => {
+                    EVENTS.removeListener(event, listener);
+                },
+                /**
+                 * close: Shuts the pool down gracefully. New runs are rejected right away; with `drain` the tasks already queued or running are finished first, otherwise they are rejected. Each child process then runs its `teardown` hooks and exits; `close` resolves once every child has actually exited, sending SIGKILL to those still running after `graceMs`.
+                 *
+                 * @example
+                 * await turbit.close({ drain: true, graceMs: 2000 });
+                 *
+                 * @param {Object} [options] - The shutdown options.
+                 * @param {boolean} [options.drain=true] - Finish queued and running tasks before stopping the child processes.
+                 * @param {number} [options.graceMs] - Milliseconds to wait for each child process to exit after it is asked to shut down (over IPC, so it can finish its current task and run its `teardown` hooks) before sending SIGKILL. Defaults to the `graceMs` given to `Turbit()`.
+                 * @returns {Promise<void>} Resolves once every child process has exited.
+                 */
+                close: ({ drain = true, graceMs = DEFAULT_GRACE_MS } = {}) => core.closePool(drain, graceMs),
+                /**
+                 * resize: Sets the number of child processes in the pool, within `minWorkers` and `maxWorkers`. Growing forks only the missing children; shrinking retires idle children right away and lets busy ones finish their current tasks first.
+                 *
+                 * @param {number} size - The new number of child processes.
+                 * @returns {number} The number of child processes now in the pool.
+                 */
+                resize: (size) => {
+                    if (!Number.isInteger(size) || size < MIN_WORKERS || size > MAX_WORKERS) {
+                        throw new TurbitError(`Invalid pool size specified: '${size}'. The size must be an integer between 'minWorkers' (${MIN_WORKERS}) and 'maxWorkers' (${MAX_WORKERS}).`);
+                    }
+                    core.resizePool(size);
+                    return CHILD_PROCESSES.length;
+                }
             };
         };
 
+        Turbit.TurbitError = TurbitError;
+        Turbit.WorkerExitError = WorkerExitError;
+        Turbit.TimeoutError = TimeoutError;
+        Turbit.AbortError = AbortError;
+
         module.exports = Turbit;
     }
 }